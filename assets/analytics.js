@@ -0,0 +1,389 @@
+import { cart } from '@theme/cart';
+import { ThemeEvents } from '@theme/events';
+import { requestIdleCallback } from '@theme/utilities';
+
+/** @typedef {import('./cart').CartLineItem} CartLineItem */
+/** @typedef {import('./cart').CartState} CartState */
+
+/**
+ * @typedef {Object} AnalyticsItem
+ * @property {string} item_id - The ID of the product
+ * @property {string} [item_name] - The title of the product
+ * @property {string} [item_variant] - The title of the variant
+ * @property {string} [item_variant_id] - The ID of the variant
+ * @property {string} [item_list_id] - The ID of the list the product was selected from
+ * @property {number} [price] - The unit price in the presentment currency
+ * @property {number} [quantity] - The quantity
+ */
+
+/**
+ * @typedef {Object} AnalyticsPayload
+ * @property {string} [currency] - The presentment currency
+ * @property {number} [value] - The total value of the items
+ * @property {AnalyticsItem[]} [items] - The products the event is about
+ * @property {string} [search_term] - The search query
+ * @property {Record<string, string[]>} [filters] - The applied filters, by filter parameter
+ * @property {string} [sort_by] - The applied sort order
+ */
+
+/**
+ * @typedef {Object} AnalyticsEvent
+ * @property {'view_item' | 'add_to_cart' | 'remove_from_cart' | 'search' | 'filter' | 'select_item' | 'add_to_wishlist'} name - The standard e-commerce event name
+ * @property {AnalyticsPayload} payload - The event parameters
+ * @property {number} timestamp - When the event happened
+ */
+
+/**
+ * @typedef {Object} AnalyticsAdapter
+ * @property {string} name - A unique name for the adapter
+ * @property {(events: AnalyticsEvent[]) => void} send - Called with each batch of events, oldest first
+ */
+
+/** @type {number} The delay before a batch of events is sent, in milliseconds */
+const BATCH_DELAY = 1000;
+
+/** @type {number} The time an identical event is ignored for, in milliseconds */
+const DEDUPE_INTERVAL = 2000;
+
+/** @type {number} The maximum number of events kept while consent is pending, the oldest are dropped first */
+const MAX_QUEUED_EVENTS = 100;
+
+/**
+ * Publishes the events to the Shopify customer events, so custom pixels can subscribe to them.
+ * @type {AnalyticsAdapter}
+ */
+export const shopifyAnalyticsAdapter = {
+  name: 'shopify',
+  send(events) {
+    for (const { name, payload } of events) {
+      window.Shopify?.analytics?.publish(name, payload);
+    }
+  },
+};
+
+/**
+ * Pushes the events to the Google Tag Manager data layer, using the GA4 e-commerce format.
+ * @type {AnalyticsAdapter}
+ */
+export const dataLayerAdapter = {
+  name: 'data-layer',
+  send(events) {
+    window.dataLayer = window.dataLayer || [];
+
+    for (const { name, payload } of events) {
+      // Clears the previous e-commerce object so its values aren't merged into this one
+      window.dataLayer.push({ ecommerce: null });
+      window.dataLayer.push({ event: name, ecommerce: payload });
+    }
+  },
+};
+
+/**
+ * Turns theme events into standard e-commerce analytics events and sends them to the registered adapters.
+ *
+ * Events are queued and sent in batches, identical views, filters and selections fired in a short interval are only
+ * sent once, and nothing is sent until the customer allows analytics through the Shopify customer privacy API.
+ * Only the latest events are kept while consent is pending.
+ */
+class AnalyticsBridge {
+  /** @type {Map<string, AnalyticsAdapter>} */
+  #adapters = new Map();
+
+  /** @type {AnalyticsEvent[]} */
+  #queue = [];
+
+  /** @type {Map<string, number>} The last time each event was tracked, by event key */
+  #recentEvents = new Map();
+
+  /** @type {Map<string, CartLineItem> | null} The cart lines the cart changes are compared with */
+  #cartLines = null;
+
+  /** @type {number | undefined} */
+  #flushTimeout;
+
+  #started = false;
+
+  /**
+   * Registers an adapter the events are sent to.
+   * @param {AnalyticsAdapter} adapter - The adapter, replaces the adapter with the same name
+   */
+  registerAdapter(adapter) {
+    this.#adapters.set(adapter.name, adapter);
+  }
+
+  /**
+   * Removes an adapter.
+   * @param {string} name - The name of the adapter
+   */
+  unregisterAdapter(name) {
+    this.#adapters.delete(name);
+  }
+
+  /**
+   * Starts listening to the theme events.
+   * @param {{ adapters?: AnalyticsAdapter[] }} [options]
+   */
+  start({ adapters = [] } = {}) {
+    for (const adapter of adapters) this.registerAdapter(adapter);
+
+    if (this.#started) return;
+    this.#started = true;
+
+    document.addEventListener(ThemeEvents.cartUpdate, this.#handleCartUpdate);
+    document.addEventListener(ThemeEvents.variantUpdate, this.#handleVariantUpdate);
+    document.addEventListener(ThemeEvents.FilterUpdate, this.#handleFilterUpdate);
+    document.addEventListener(ThemeEvents.wishlistUpdate, this.#handleWishlistUpdate);
+    document.addEventListener('click', this.#handleProductCardClick, { capture: true });
+    document.addEventListener('visitorConsentCollected', this.#handleConsentChange);
+    document.addEventListener('visibilitychange', this.#handleVisibilityChange);
+    window.addEventListener('pagehide', this.flush);
+
+    window.Shopify?.loadFeatures?.([
+      {
+        name: 'consent-tracking-api',
+        version: '0.1',
+        onLoad: this.#handleConsentApiLoad,
+      },
+    ]);
+
+    if (cart.state) {
+      this.#setCartLines(cart.state);
+    } else {
+      requestIdleCallback(() => cart.load().then((state) => this.#cartLines ?? this.#setCartLines(state)));
+    }
+
+    if (Theme.template.name === 'search') {
+      const searchTerm = new URLSearchParams(window.location.search).get('q');
+      if (searchTerm) this.track('search', { search_term: searchTerm });
+    }
+  }
+
+  /**
+   * Queues an event, unless an identical one was tracked in the last seconds.
+   * @param {AnalyticsEvent['name']} name - The standard e-commerce event name
+   * @param {AnalyticsPayload} payload - The event parameters
+   * @param {{ dedupe?: boolean }} [options] - Whether identical events tracked in the last seconds are ignored
+   */
+  track(name, payload, { dedupe = true } = {}) {
+    const now = Date.now();
+    const key = `${name}:${JSON.stringify(payload)}`;
+    const lastTracked = this.#recentEvents.get(key);
+
+    if (dedupe && lastTracked && now - lastTracked < DEDUPE_INTERVAL) return;
+
+    this.#recentEvents.set(key, now);
+    for (const [recentKey, timestamp] of this.#recentEvents) {
+      if (now - timestamp >= DEDUPE_INTERVAL) this.#recentEvents.delete(recentKey);
+    }
+
+    this.#queue.push({ name, payload, timestamp: now });
+    if (this.#queue.length > MAX_QUEUED_EVENTS) this.#queue.splice(0, this.#queue.length - MAX_QUEUED_EVENTS);
+
+    clearTimeout(this.#flushTimeout);
+    this.#flushTimeout = setTimeout(this.flush, BATCH_DELAY);
+  }
+
+  /**
+   * Sends the queued events to the adapters, if the customer allows analytics.
+   * Events are kept until consent is collected, and dropped if it's declined.
+   */
+  flush = () => {
+    clearTimeout(this.#flushTimeout);
+
+    const consent = this.#consent;
+
+    if (consent === 'pending' || this.#queue.length === 0) return;
+
+    const events = this.#queue;
+    this.#queue = [];
+
+    if (consent === 'declined') return;
+
+    for (const adapter of this.#adapters.values()) {
+      try {
+        adapter.send(events);
+      } catch (error) {
+        console.error(`Analytics adapter "${adapter.name}" failed`, error);
+      }
+    }
+  };
+
+  /**
+   * Whether the customer allows analytics.
+   * Consent is pending until the customer privacy API is loaded.
+   * @returns {'allowed' | 'declined' | 'pending'}
+   */
+  get #consent() {
+    const customerPrivacy = window.Shopify?.customerPrivacy;
+
+    if (!customerPrivacy) return 'pending';
+    if (customerPrivacy.analyticsProcessingAllowed()) return 'allowed';
+
+    return customerPrivacy.currentVisitorConsent?.().analytics === '' ? 'pending' : 'declined';
+  }
+
+  #handleConsentChange = () => {
+    this.flush();
+  };
+
+  /**
+   * @param {Error | undefined} error - The error if the customer privacy API couldn't be loaded
+   */
+  #handleConsentApiLoad = (error) => {
+    if (error) {
+      console.error('The customer privacy API could not be loaded', error);
+      return;
+    }
+
+    this.flush();
+  };
+
+  #handleVisibilityChange = () => {
+    if (document.visibilityState === 'hidden') this.flush();
+  };
+
+  /**
+   * Tracks the lines added to or removed from the cart by comparing the cart with the previous one.
+   * @param {Event & { detail?: { resource?: unknown, data?: { source?: string } } }} event - The cart update event
+   */
+  #handleCartUpdate = (event) => {
+    const newCart = /** @type {CartState | undefined} */ (event.detail?.resource);
+    if (!newCart?.items) return;
+
+    const previousLines = this.#cartLines;
+    this.#setCartLines(newCart);
+
+    // Changes made in another tab are tracked there
+    if (!previousLines || event.detail?.data?.source === 'cart-sync') return;
+
+    /** @type {AnalyticsItem[]} */
+    const addedItems = [];
+    /** @type {AnalyticsItem[]} */
+    const removedItems = [];
+
+    for (const line of newCart.items) {
+      const difference = line.quantity - (previousLines.get(line.key)?.quantity ?? 0);
+      if (difference > 0) addedItems.push(this.#lineToItem(line, difference));
+    }
+
+    for (const [key, line] of previousLines) {
+      const difference = line.quantity - (this.#cartLines?.get(key)?.quantity ?? 0);
+      if (difference > 0) removedItems.push(this.#lineToItem(line, difference));
+    }
+
+    // Each change is only found once since the cart is compared with the previous one, so repeated changes are all tracked
+    if (addedItems.length) this.track('add_to_cart', this.#itemsPayload(addedItems), { dedupe: false });
+    if (removedItems.length) this.track('remove_from_cart', this.#itemsPayload(removedItems), { dedupe: false });
+  };
+
+  /**
+   * @param {Event & { detail?: { resource?: { id: string, sku?: string } | null, data?: { productId: string } } }} event - The variant update event
+   */
+  #handleVariantUpdate = (event) => {
+    const variant = event.detail?.resource;
+    const productId = event.detail?.data?.productId;
+    if (!variant || !productId) return;
+
+    this.track('view_item', this.#itemsPayload([{ item_id: productId, item_variant_id: String(variant.id) }]));
+  };
+
+  /**
+   * @param {Event & { detail?: { queryParams?: URLSearchParams } }} event - The filter update event
+   */
+  #handleFilterUpdate = (event) => {
+    const queryParams = event.detail?.queryParams;
+    if (!queryParams) return;
+
+    /** @type {Record<string, string[]>} */
+    const filters = {};
+
+    for (const [key, value] of queryParams) {
+      if (!key.startsWith('filter.')) continue;
+      filters[key] = [...(filters[key] ?? []), value];
+    }
+
+    /** @type {AnalyticsPayload} */
+    const payload = { filters };
+    const sortBy = queryParams.get('sort_by');
+    if (sortBy) payload.sort_by = sortBy;
+
+    this.track('filter', payload);
+  };
+
+  /**
+   * @param {Event & { detail?: { productId?: string, added?: boolean } }} event - The wishlist update event
+   */
+  #handleWishlistUpdate = (event) => {
+    const { productId, added } = event.detail ?? {};
+    if (!productId || !added) return;
+
+    this.track('add_to_wishlist', this.#itemsPayload([{ item_id: productId }]));
+  };
+
+  /**
+   * Tracks the product card the customer selected from a list.
+   * @param {MouseEvent} event - The click event
+   */
+  #handleProductCardClick = (event) => {
+    if (!(event.target instanceof Element)) return;
+
+    const link = event.target.closest('a[href]');
+    const productCard = link?.closest('product-card');
+    if (!(productCard instanceof HTMLElement) || !productCard.dataset.productId) return;
+
+    /** @type {AnalyticsItem} */
+    const item = { item_id: productCard.dataset.productId };
+
+    const title = productCard.querySelector('.product-card__link')?.textContent?.trim();
+    if (title) item.item_name = title;
+
+    const sectionId = productCard.closest('.shopify-section')?.id;
+    if (sectionId) item.item_list_id = sectionId.replace('shopify-section-', '');
+
+    this.track('select_item', { items: [item] });
+  };
+
+  /**
+   * @param {CartState} state - The cart
+   */
+  #setCartLines(state) {
+    this.#cartLines = new Map(state.items.map((line) => [line.key, line]));
+  }
+
+  /**
+   * @param {CartLineItem} line - The cart line
+   * @param {number} quantity - The quantity added or removed
+   * @returns {AnalyticsItem}
+   */
+  #lineToItem(line, quantity) {
+    /** @type {AnalyticsItem} */
+    const item = {
+      item_id: String(line.product_id),
+      item_name: line.product_title,
+      item_variant_id: String(line.variant_id),
+      price: line.final_price / 100,
+      quantity,
+    };
+
+    if (line.variant_title) item.item_variant = line.variant_title;
+
+    return item;
+  }
+
+  /**
+   * @param {AnalyticsItem[]} items - The items of the event
+   * @returns {AnalyticsPayload}
+   */
+  #itemsPayload(items) {
+    /** @type {AnalyticsPayload} */
+    const payload = { currency: window.Shopify?.currency?.active, items };
+
+    if (items.every((item) => item.price !== undefined)) {
+      payload.value = items.reduce((total, item) => total + (item.price ?? 0) * (item.quantity ?? 1), 0);
+    }
+
+    return payload;
+  }
+}
+
+export const analytics = new AnalyticsBridge();
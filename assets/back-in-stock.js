@@ -0,0 +1,102 @@
+import { Component } from '@theme/component';
+import { morph } from '@theme/morph';
+import { ThemeEvents, VariantUpdateEvent } from '@theme/events';
+
+/**
+ * A custom element that lets customers ask to be notified when a sold out variant is back in stock.
+ * The request is sent through the storefront contact form endpoint.
+ *
+ * @typedef {object} Refs
+ * @property {HTMLElement} details - The hidden inputs describing the product and variant.
+ * @property {HTMLButtonElement} submitButton - The button submitting the form.
+ * @property {HTMLElement} status - The element showing the result of the request.
+ *
+ * @extends {Component<Refs>}
+ */
+class BackInStockComponent extends Component {
+  requiredRefs = ['details', 'submitButton', 'status'];
+  #abortController = new AbortController();
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    const { signal } = this.#abortController;
+    const target = this.closest('.shopify-section, dialog, product-card');
+    target?.addEventListener(ThemeEvents.variantUpdate, this.#onVariantUpdate, { signal });
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    this.#abortController.abort();
+  }
+
+  /**
+   * Sends the form to the contact endpoint without leaving the page.
+   * @param {SubmitEvent} event - The submit event
+   */
+  async handleSubmit(event) {
+    const form = event.target;
+    if (!(form instanceof HTMLFormElement)) return;
+
+    event.preventDefault();
+
+    const { submitButton, status } = this.refs;
+    submitButton.disabled = true;
+
+    try {
+      const response = await fetch(form.action, { method: 'POST', body: new FormData(form) });
+
+      // The storefront asks for a captcha, fall back to a regular submission so it can be shown
+      if (new URL(response.url).pathname.endsWith('/challenge')) {
+        form.submit();
+        return;
+      }
+
+      const html = new DOMParser().parseFromString(await response.text(), 'text/html');
+      const newStatus = html.getElementById(form.id)?.querySelector('[ref="status"]');
+
+      if (!response.ok || !newStatus?.children.length) throw new Error(`Failed to send form ${form.id}`);
+
+      morph(status, newStatus);
+      if (!newStatus.querySelector('.back-in-stock__message--error')) form.reset();
+    } catch (error) {
+      console.error(error);
+      this.#showError();
+    } finally {
+      submitButton.disabled = false;
+    }
+  }
+
+  /**
+   * Shows the form for sold out variants and fills it with the details of the new variant.
+   * @param {VariantUpdateEvent} event - The variant update event
+   */
+  #onVariantUpdate = (event) => {
+    const { resource, data } = event.detail;
+
+    if (data.newProduct) {
+      this.dataset.productId = data.newProduct.id;
+    } else if (data.productId !== this.dataset.productId) {
+      return;
+    }
+
+    const newDetails = data.html.querySelector('back-in-stock-component [ref="details"]');
+    if (newDetails) morph(this.refs.details, newDetails);
+
+    this.refs.status.replaceChildren();
+    this.classList.toggle('hidden', !resource || resource.available);
+  };
+
+  #showError() {
+    const message = document.createElement('p');
+    message.className = 'back-in-stock__message back-in-stock__message--error';
+    message.textContent = this.dataset.errorMessage ?? '';
+
+    this.refs.status.replaceChildren(message);
+  }
+}
+
+if (!customElements.get('back-in-stock-component')) {
+  customElements.define('back-in-stock-component', BackInStockComponent);
+}
@@ -1,7 +1,7 @@
 import { Component } from '@theme/component';
 import { morphSection } from '@theme/section-renderer';
 import { DiscountUpdateEvent } from '@theme/events';
-import { fetchConfig } from '@theme/utilities';
+import { cart } from '@theme/cart';
 import { cartPerformance } from '@theme/performance';
 
 /**
@@ -60,19 +60,10 @@ class CartDiscount extends Component {
       cartDiscountErrorDiscountCode.classList.add('hidden');
       cartDiscountErrorShipping.classList.add('hidden');
 
-      const config = fetchConfig('json', {
-        body: JSON.stringify({
-          discount: [...existingDiscounts, discountCodeValue].join(','),
-          sections: [this.dataset.sectionId],
-        }),
-      });
-
-      const response = await fetch(Theme.routes.cart_update_url, {
-        ...config,
-        signal: abortController.signal,
-      });
-
-      const data = await response.json();
+      const data = await cart.update(
+        { discount: [...existingDiscounts, discountCodeValue].join(',') },
+        { sections: [this.dataset.sectionId], silent: true, signal: abortController.signal }
+      );
 
       if (
         data.discount_codes.find((/** @type {{ code: string; applicable: boolean; }} */ discount) => {
@@ -84,7 +75,9 @@ class CartDiscount extends Component {
         return;
       }
 
-      const newHtml = data.sections[this.dataset.sectionId];
+      const newHtml = data.sections?.[this.dataset.sectionId];
+      if (!newHtml) return;
+
       const parsedHtml = new DOMParser().parseFromString(newHtml, 'text/html');
       const section = parsedHtml.getElementById(`shopify-section-${this.dataset.sectionId}`);
       const discountCodes = section?.querySelectorAll('.cart-discount__pill') || [];
@@ -149,19 +142,15 @@ class CartDiscount extends Component {
     const abortController = this.#createAbortController();
 
     try {
-      const config = fetchConfig('json', {
-        body: JSON.stringify({ discount: existingDiscounts.join(','), sections: [this.dataset.sectionId] }),
-      });
-
-      const response = await fetch(Theme.routes.cart_update_url, {
-        ...config,
-        signal: abortController.signal,
-      });
-
-      const data = await response.json();
+      const data = await cart.update(
+        { discount: existingDiscounts.join(',') },
+        { sections: [this.dataset.sectionId], silent: true, signal: abortController.signal }
+      );
 
       document.dispatchEvent(new DiscountUpdateEvent(data, this.id));
-      morphSection(this.dataset.sectionId, data.sections[this.dataset.sectionId]);
+
+      const newHtml = data.sections?.[this.dataset.sectionId];
+      if (newHtml) morphSection(this.dataset.sectionId, newHtml);
     } catch (error) {
     } finally {
       this.#activeFetch = null;
@@ -25,7 +25,13 @@ class CartDrawerComponent extends DialogComponent {
     this.removeEventListener(DialogOpenEvent.eventName, this.#updateStickyState);
   }
 
-  #handleCartAdd = () => {
+  /**
+   * @param {CartAddEvent} event
+   */
+  #handleCartAdd = (event) => {
+    // Changes made in another tab, or made offline and replayed later, shouldn't open the drawer
+    if (event.detail.data?.source === 'cart-sync' || event.detail.data?.source === 'cart-replay') return;
+
     if (this.hasAttribute('auto-open')) {
       this.showDialog();
     }
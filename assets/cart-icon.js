@@ -1,6 +1,7 @@
 import { Component } from '@theme/component';
 import { onAnimationEnd } from '@theme/utilities';
 import { ThemeEvents, CartUpdateEvent } from '@theme/events';
+import { cart } from '@theme/cart';
 
 /**
  * A custom element that displays a cart icon.
@@ -15,6 +16,9 @@ import { ThemeEvents, CartUpdateEvent } from '@theme/events';
 class CartIcon extends Component {
   requiredRefs = ['cartBubble', 'cartBubbleText', 'cartBubbleCount'];
 
+  /** @type {(() => void) | undefined} */
+  #unsubscribe;
+
   /** @type {number} */
   get currentCartCount() {
     return parseInt(this.refs.cartBubbleCount.textContent ?? '0', 10);
@@ -29,6 +33,7 @@ class CartIcon extends Component {
 
     document.addEventListener(ThemeEvents.cartUpdate, this.onCartUpdate);
     window.addEventListener('pageshow', this.onPageShow);
+    this.#unsubscribe = cart.subscribe(this.onCartStateChange);
     this.ensureCartBubbleIsCorrect();
   }
 
@@ -37,6 +42,7 @@ class CartIcon extends Component {
 
     document.removeEventListener(ThemeEvents.cartUpdate, this.onCartUpdate);
     window.removeEventListener('pageshow', this.onPageShow);
+    this.#unsubscribe?.();
   }
 
   /**
@@ -49,11 +55,28 @@ class CartIcon extends Component {
     }
   };
 
+  /**
+   * Keeps the count in sync with the cart store, including changes it applies before the server confirms them.
+   * @param {import('./cart').CartState} state - The cart state.
+   */
+  onCartStateChange = (state) => {
+    if (state.item_count === this.currentCartCount) return;
+
+    this.renderCartBubble(state.item_count, false, false);
+  };
+
   /**
    * Handles the cart update event.
    * @param {CartUpdateEvent} event - The cart update event.
    */
   onCartUpdate = async (event) => {
+    // Events dispatched by the cart store carry the whole cart, so its count is always the source of truth
+    const cartItemCount = /** @type {{ item_count?: number } | undefined} */ (event.detail.resource)?.item_count;
+    if (typeof cartItemCount === 'number') {
+      this.renderCartBubble(cartItemCount, false);
+      return;
+    }
+
     const itemCount = event.detail.data?.itemCount ?? 0;
     const comingFromProductForm = event.detail.data?.source === 'product-form-component';
 
@@ -1,5 +1,6 @@
 import { Component } from '@theme/component';
-import { debounce, fetchConfig } from '@theme/utilities';
+import { debounce } from '@theme/utilities';
+import { cart } from '@theme/cart';
 import { cartPerformance } from '@theme/performance';
 
 /**
@@ -25,14 +26,7 @@ class CartNote extends Component {
     this.#activeFetch = abortController;
 
     try {
-      const config = fetchConfig('json', {
-        body: JSON.stringify({ note }),
-      });
-
-      await fetch(Theme.routes.cart_update_url, {
-        ...config,
-        signal: abortController.signal,
-      });
+      await cart.update({ note }, { sections: [], silent: true, signal: abortController.signal });
     } catch (error) {
     } finally {
       this.#activeFetch = null;
@@ -0,0 +1,187 @@
+import { Component } from '@theme/component';
+import { cart, CartRequestError } from '@theme/cart';
+import {
+  PERSONALIZATION_FIELD_SELECTOR,
+  PERSONALIZATION_PROPERTY,
+  createField,
+  getFieldInput,
+  getFieldValue,
+  readBlockFields,
+  showFieldError,
+  updateFieldsVisibility,
+  validateFields,
+} from '@theme/personalization';
+import { sectionRenderer } from '@theme/section-renderer';
+
+/** @typedef {import('./personalization').PersonalizationField} PersonalizationField */
+
+/**
+ * A custom element that edits the personalization of a cart line.
+ * The fields are created from the personalization block of the product page, once the customer opens them.
+ *
+ * @typedef {object} Refs
+ * @property {HTMLDetailsElement} details - The details element toggling the fields.
+ * @property {HTMLScriptElement} properties - The JSON of the line item properties.
+ * @property {HTMLElement} fields - The container of the fields.
+ * @property {HTMLButtonElement} saveButton - The button saving the fields.
+ * @property {HTMLElement} error - The message shown when the line can't be updated.
+ *
+ * @extends {Component<Refs>}
+ */
+class CartPersonalizationComponent extends Component {
+  requiredRefs = ['details', 'properties', 'fields', 'saveButton', 'error'];
+
+  /** @type {Record<string, string>} */
+  #properties = {};
+
+  /** @type {Promise<PersonalizationField[]> | null} The definitions of the fields, loaded from the product page */
+  #definitions = null;
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    this.addEventListener('input', this.#handleChange);
+    this.addEventListener('change', this.#handleChange);
+    // Toggle events don't bubble
+    this.refs.details.addEventListener('toggle', this.#handleToggle);
+  }
+
+  updatedCallback() {
+    super.updatedCallback();
+
+    // The fields are created on the client, so they're created again for the new properties of the line
+    if (this.refs.details.open) this.#renderFields();
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    this.removeEventListener('input', this.#handleChange);
+    this.removeEventListener('change', this.#handleChange);
+    this.refs.details.removeEventListener('toggle', this.#handleToggle);
+  }
+
+  /**
+   * Saves the personalization of the line.
+   */
+  async save() {
+    const { key, quantity } = this.dataset;
+    const { saveButton, error, details } = this.refs;
+    const fields = this.#fields;
+
+    if (!key || !validateFields(fields)) return;
+
+    /** @type {Record<string, string>} */
+    const properties = { ...this.#properties };
+
+    for (const field of fields) {
+      const { name } = field.dataset;
+      if (!name) continue;
+
+      const value = getFieldValue(field);
+
+      if (value) {
+        properties[name] = value;
+      } else {
+        delete properties[name];
+      }
+    }
+
+    saveButton.disabled = true;
+    error.classList.add('hidden');
+
+    try {
+      await cart.change(
+        { id: key, quantity: Number(quantity), properties },
+        { sourceId: this.id, eventData: { source: 'cart-personalization-component' } }
+      );
+
+      details.open = false;
+    } catch (requestError) {
+      if (!(requestError instanceof CartRequestError)) throw requestError;
+
+      error.textContent = requestError.message;
+      error.classList.remove('hidden');
+    } finally {
+      saveButton.disabled = false;
+    }
+  }
+
+  /**
+   * The elements wrapping the personalization fields, in order.
+   * @returns {HTMLElement[]}
+   */
+  get #fields() {
+    return Array.from(this.refs.fields.querySelectorAll(PERSONALIZATION_FIELD_SELECTOR));
+  }
+
+  async #renderFields() {
+    this.#properties = JSON.parse(this.refs.properties.textContent || '{}');
+
+    /** @type {PersonalizationField[]} */
+    let definitions = [];
+
+    try {
+      definitions = await this.#loadDefinitions();
+    } catch (error) {
+      // Lines whose product page can't be loaded can't be edited
+      console.error(error);
+    }
+
+    const fields = definitions.map((definition, index) =>
+      createField(
+        definition,
+        this.#properties[definition.name] ?? '',
+        `${this.id}-${index}`,
+        this.dataset.selectPlaceholder
+      )
+    );
+
+    this.refs.fields.replaceChildren(...fields);
+    this.classList.toggle('hidden', fields.length === 0);
+
+    updateFieldsVisibility(fields, this.#properties);
+  }
+
+  /**
+   * Loads the definitions of the fields from the personalization block the line was added with.
+   * @returns {Promise<PersonalizationField[]>}
+   */
+  #loadDefinitions() {
+    const blockId = this.#properties[PERSONALIZATION_PROPERTY];
+    const { productUrl } = this.dataset;
+
+    if (!blockId || !productUrl) return Promise.resolve([]);
+
+    this.#definitions ??= sectionRenderer.getHTML(productUrl).then((html) => {
+      return readBlockFields(new DOMParser().parseFromString(html, 'text/html'), blockId);
+    });
+
+    // Loading is tried again the next time the fields are opened
+    this.#definitions.catch(() => (this.#definitions = null));
+
+    return this.#definitions;
+  }
+
+  #handleToggle = () => {
+    if (this.refs.details.open) this.#renderFields();
+  };
+
+  /**
+   * @param {Event} event - The input or change event
+   */
+  #handleChange = (event) => {
+    updateFieldsVisibility(this.#fields, this.#properties);
+
+    if (!(event.target instanceof Element)) return;
+
+    const field = event.target.closest(PERSONALIZATION_FIELD_SELECTOR);
+    if (field instanceof HTMLElement && getFieldInput(field)?.getAttribute('aria-invalid') === 'true') {
+      showFieldError(field);
+    }
+  };
+}
+
+if (!customElements.get('cart-personalization-component')) {
+  customElements.define('cart-personalization-component', CartPersonalizationComponent);
+}
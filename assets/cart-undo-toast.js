@@ -0,0 +1,110 @@
+import { Component } from '@theme/component';
+import { cart, CartOfflineError, CartRequestError } from '@theme/cart';
+import { CartHistoryEvent, ThemeEvents } from '@theme/events';
+
+/** How long the toast stays visible after a removal, in milliseconds */
+const TOAST_DURATION = 8000;
+
+/**
+ * A custom element that offers to undo the most recent cart removal.
+ * Removals are undone one at a time, most recent first, for as long as the toast is shown.
+ *
+ * @typedef {object} Refs
+ * @property {HTMLElement} message - The description of the removal.
+ * @property {HTMLButtonElement} undoButton - The button that restores the removed lines.
+ *
+ * @extends {Component<Refs>}
+ */
+class CartUndoToast extends Component {
+  requiredRefs = ['message', 'undoButton'];
+
+  /** @type {number | undefined} */
+  #hideTimeout;
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    document.addEventListener(ThemeEvents.cartHistory, this.#handleCartHistory);
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    document.removeEventListener(ThemeEvents.cartHistory, this.#handleCartHistory);
+    clearTimeout(this.#hideTimeout);
+  }
+
+  /**
+   * Restores the lines of the most recent removal.
+   */
+  async undo() {
+    const { undoButton, message } = this.refs;
+
+    undoButton.disabled = true;
+
+    try {
+      await cart.undo({ target: this });
+    } catch (error) {
+      if (error instanceof CartOfflineError) {
+        message.textContent = Theme.translations.cart_pending_changes ?? '';
+      } else if (error instanceof CartRequestError) {
+        message.textContent = error.message;
+      } else {
+        console.error(error);
+      }
+
+      this.#show(false);
+    } finally {
+      undoButton.disabled = false;
+    }
+  }
+
+  /**
+   * Hides the toast, the removals can't be undone from it anymore.
+   */
+  dismiss() {
+    clearTimeout(this.#hideTimeout);
+    this.classList.add('hidden');
+  }
+
+  /**
+   * Shows the most recent removal, or hides the toast once there is nothing left to undo.
+   * @param {CartHistoryEvent} event - The event.
+   */
+  #handleCartHistory = (event) => {
+    const { entries } = event.detail;
+    const entry = entries[entries.length - 1];
+
+    if (!entry) {
+      if (!this.classList.contains('hidden')) this.dismiss();
+      return;
+    }
+
+    const [firstItem] = entry.items;
+    const template =
+      entry.items.length === 1
+        ? Theme.translations.cart_line_removed ?? ''
+        : Theme.translations.cart_lines_removed ?? '';
+
+    this.refs.message.textContent = template
+      .replace('[title]', firstItem?.product_title ?? '')
+      .replace('[count]', entry.items.length.toString());
+
+    this.#show(true);
+  };
+
+  /**
+   * @param {boolean} canUndo - Whether the undo button is shown.
+   */
+  #show(canUndo) {
+    this.refs.undoButton.classList.toggle('hidden', !canUndo || !cart.history.length);
+    this.classList.remove('hidden');
+
+    clearTimeout(this.#hideTimeout);
+    this.#hideTimeout = setTimeout(() => this.dismiss(), TOAST_DURATION);
+  }
+}
+
+if (!customElements.get('cart-undo-toast')) {
+  customElements.define('cart-undo-toast', CartUndoToast);
+}
@@ -0,0 +1,807 @@
+import { fetchConfig, LocalStorageList } from '@theme/utilities';
+import { CartAddEvent, CartErrorEvent, CartHistoryEvent, CartPendingEvent, CartUpdateEvent } from '@theme/events';
+
+/** The localStorage key holding the cart mutations that failed while offline */
+const PENDING_MUTATIONS_KEY = 'cart-pending-mutations';
+
+/** The number of removals that can be undone */
+const HISTORY_LIMIT = 5;
+
+/** The channel, or localStorage key when BroadcastChannel isn't supported, used to share cart changes with other tabs */
+const SYNC_CHANNEL_NAME = 'cart-sync';
+
+/**
+ * @typedef {Object} CartLineItem
+ * @property {number} id - The variant ID of the line
+ * @property {string} key - The unique key of the line
+ * @property {number} variant_id - The variant ID of the line
+ * @property {number} product_id - The product ID of the line
+ * @property {string} product_title - The title of the product
+ * @property {string | null} variant_title - The title of the variant
+ * @property {string} url - The URL of the variant
+ * @property {string | null} image - The URL of the line image
+ * @property {number} quantity - The quantity of the line
+ * @property {number} final_price - The unit price after discounts
+ * @property {number} final_line_price - The line price after discounts
+ * @property {Record<string, string>} [properties] - The line item properties
+ * @property {{ selling_plan: { id: number, name: string } } | null} [selling_plan_allocation] - The selling plan of the line
+ */
+
+/**
+ * @typedef {Object} CartState
+ * @property {string} token - The cart token
+ * @property {number} item_count - The number of items in the cart
+ * @property {number} total_price - The total price of the cart
+ * @property {string} currency - The ISO code of the cart currency
+ * @property {string | null} note - The cart note
+ * @property {Array<{ code: string, applicable: boolean }>} discount_codes - The discount codes applied to the cart
+ * @property {CartLineItem[]} items - The cart lines
+ */
+
+/**
+ * @typedef {Object} CartRequestOptions
+ * @property {string[]} [sections] - Section IDs to render with the response, defaults to every `cart-items-component` section on the page
+ * @property {string} [sectionsUrl] - The URL the sections are rendered for, defaults to the current path
+ * @property {string} [sourceId] - The id of the element the action was triggered from
+ * @property {EventTarget} [target] - The element that dispatches the resulting events, defaults to the document
+ * @property {Record<string, any>} [eventData] - Additional data merged into the dispatched event
+ * @property {boolean} [silent] - Whether to skip dispatching cart events, subscribers are still notified
+ * @property {boolean} [optimistic] - Whether to update the cart state before the server confirms a line change, it's reloaded if the change fails
+ * @property {boolean} [queueWhenOffline] - Whether to store the mutation and replay it once the connection is back when the network fails
+ * @property {boolean} [undoable] - Whether the lines the mutation removes can be restored with `undo`
+ * @property {AbortSignal} [signal] - The signal used to abort the request
+ */
+
+/**
+ * @typedef {Object} PendingCartMutation
+ * @property {string} url - The Ajax Cart API endpoint
+ * @property {Record<string, any> | Array<[string, string]>} params - The request parameters, or the entries of a submitted product form
+ * @property {string} [key] - The key of the line the mutation changes
+ * @property {number} timestamp - When the mutation was made
+ */
+
+/**
+ * @typedef {Object} CartHistoryEntry
+ * @property {CartLineItem[]} items - The removed lines, as they were before the removal
+ * @property {number} timestamp - When the lines were removed
+ */
+
+/**
+ * @typedef {CartState & { sections?: Record<string, string> }} CartResponse
+ */
+
+/**
+ * @typedef {(cart: CartState) => void} CartSubscriber
+ */
+
+/**
+ * Error thrown when the Ajax Cart API rejects a request.
+ */
+export class CartRequestError extends Error {
+  /**
+   * @param {{ message?: string, description?: string, errors?: any }} response - The parsed error response
+   */
+  constructor(response) {
+    super(response.message || (typeof response.errors === 'string' ? response.errors : 'Cart request failed'));
+    this.name = 'CartRequestError';
+    /** @type {string | undefined} */
+    this.description = response.description;
+    /** @type {any} */
+    this.errors = response.errors;
+    this.response = response;
+  }
+}
+
+/**
+ * Error thrown when a mutation couldn't reach the server and was stored to be replayed once the connection is back.
+ */
+export class CartOfflineError extends Error {
+  constructor() {
+    super('The cart mutation will be sent once the connection is back');
+    this.name = 'CartOfflineError';
+  }
+}
+
+/**
+ * Error thrown when a request couldn't reach the server.
+ */
+class CartNetworkError extends Error {
+  /**
+   * @param {unknown} error - The error thrown by fetch
+   */
+  constructor(error) {
+    super('The cart request could not reach the server');
+    this.name = 'CartNetworkError';
+    this.error = error;
+  }
+}
+
+/**
+ * The cart store shared by every cart-aware component.
+ *
+ * Mutations are queued so they reach the server in the order they were made, identical idempotent
+ * requests that are still pending are only sent once, and every response updates the cart state and
+ * dispatches the matching theme event. Confirmed changes are shared with the other open tabs.
+ */
+class CartStore {
+  /** @type {CartState | null} */
+  #state = null;
+
+  /** @type {Set<CartSubscriber>} */
+  #subscribers = new Set();
+
+  /** @type {Promise<unknown>} */
+  #queue = Promise.resolve();
+
+  /** @type {Map<string, Promise<any>>} */
+  #pendingRequests = new Map();
+
+  /** @type {CartHistoryEntry[]} */
+  #history = [];
+
+  /** @type {LocalStorageList<PendingCartMutation>} The mutations that failed while offline */
+  #pendingMutationsStorage = new LocalStorageList(PENDING_MUTATIONS_KEY);
+
+  /** @type {BroadcastChannel | null} */
+  #syncChannel = 'BroadcastChannel' in window ? new BroadcastChannel(SYNC_CHANNEL_NAME) : null;
+
+  constructor() {
+    window.addEventListener('online', this.#schedulePendingMutations);
+
+    if (this.#syncChannel) {
+      this.#syncChannel.addEventListener('message', (event) => this.#receiveSyncedCart(event.data));
+    } else {
+      window.addEventListener('storage', this.#handleSyncStorage);
+    }
+
+    if (navigator.onLine) this.#schedulePendingMutations();
+  }
+
+  /**
+   * The last known cart, or null if it hasn't been loaded yet.
+   * @returns {CartState | null}
+   */
+  get state() {
+    return this.#state;
+  }
+
+  /**
+   * The mutations waiting for the connection to come back, oldest first.
+   * @returns {PendingCartMutation[]}
+   */
+  get pendingMutations() {
+    return this.#pendingMutationsStorage.read();
+  }
+
+  /**
+   * The removals that can be undone, oldest first.
+   * @returns {CartHistoryEntry[]}
+   */
+  get history() {
+    return [...this.#history];
+  }
+
+  /**
+   * Subscribes to cart state changes.
+   * @param {CartSubscriber} callback - Called with the new cart every time it changes
+   * @returns {() => void} A function that removes the subscription
+   */
+  subscribe(callback) {
+    this.#subscribers.add(callback);
+
+    return () => this.#subscribers.delete(callback);
+  }
+
+  /**
+   * Resolves with the last known cart, fetching it if it hasn't been loaded yet.
+   * @returns {Promise<CartState>}
+   */
+  async load() {
+    return this.#state ?? this.refresh();
+  }
+
+  /**
+   * Fetches the cart once pending mutations are done.
+   * @returns {Promise<CartState>}
+   */
+  refresh() {
+    return this.#dedupe('refresh', () => this.#enqueue(() => this.#fetchCart()));
+  }
+
+  /**
+   * Adds items to the cart.
+   * @param {FormData | { items: Array<{ id: number | string, quantity: number, properties?: Record<string, string>, selling_plan?: number | string }> }} items - The product form data or a list of items
+   * @param {CartRequestOptions} [options]
+   * @returns {Promise<CartState>} The cart after the items were added
+   */
+  add(items, options = {}) {
+    return this.#enqueue(async () => {
+      options.signal?.throwIfAborted();
+      await this.#replayPendingMutations();
+
+      const sections = this.#sectionIds(options);
+      /** @type {FormData | string} */
+      let body;
+
+      if (items instanceof FormData) {
+        body = items;
+        if (sections.length) {
+          body.set('sections', sections.join(','));
+          body.set('sections_url', options.sectionsUrl ?? window.location.pathname);
+        }
+      } else {
+        body = JSON.stringify({ ...items, ...this.#sectionsParams(sections, options) });
+      }
+
+      try {
+        const response = await this.#post(Theme.routes.cart_add_url, body, options.signal);
+        const cart = await this.#fetchCart();
+
+        this.#dispatch(
+          new CartAddEvent(cart, options.sourceId ?? '', {
+            itemCount: countAddedItems(items),
+            sections: response.sections,
+            ...options.eventData,
+          }),
+          options
+        );
+
+        return cart;
+      } catch (error) {
+        // Uploaded files can't be stored, so a form with files fails instead of being queued without them
+        const params = items instanceof FormData ? formEntries(items) : items;
+
+        if (
+          options.queueWhenOffline &&
+          params &&
+          isNetworkError(error) &&
+          this.#addPendingMutation({ url: Theme.routes.cart_add_url, params, timestamp: Date.now() })
+        ) {
+          throw new CartOfflineError();
+        }
+
+        if (!(error instanceof CartRequestError)) throw error;
+
+        this.#dispatchError(error, options);
+
+        // The server still adds the maximum allowed quantity when too many items are requested
+        const cart = await this.#fetchCart();
+        this.#dispatch(
+          new CartAddEvent(cart, options.sourceId ?? '', {
+            itemCount: countAddedItems(items),
+            ...options.eventData,
+            didError: true,
+          }),
+          options
+        );
+
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * Changes the quantity, properties or selling plan of a single line.
+   * @param {{ line?: number, id?: string, quantity: number, properties?: Record<string, string>, selling_plan?: number | string | null }} change - The line (1-based index or key) and its new values
+   * @param {CartRequestOptions} [options]
+   * @returns {Promise<CartResponse>} The updated cart and its rendered sections
+   */
+  change(change, options = {}) {
+    return this.#mutate(Theme.routes.cart_change_url, change, options);
+  }
+
+  /**
+   * Updates quantities, the note, attributes or discounts of the cart.
+   * @param {{ updates?: Record<string, number>, note?: string, attributes?: Record<string, string>, discount?: string }} update - The values to update
+   * @param {CartRequestOptions} [options]
+   * @returns {Promise<CartResponse>} The updated cart and its rendered sections
+   */
+  update(update, options = {}) {
+    return this.#mutate(Theme.routes.cart_update_url, update, options);
+  }
+
+  /**
+   * Removes every line from the cart.
+   * @param {CartRequestOptions} [options]
+   * @returns {Promise<CartResponse>} The empty cart and its rendered sections
+   */
+  clear(options = {}) {
+    return this.#mutate(Theme.routes.cart_clear_url, {}, options);
+  }
+
+  /**
+   * Adds back the lines of the most recent undoable removal.
+   * Lines are restored with their original quantity, properties and selling plan.
+   * @param {CartRequestOptions} [options]
+   * @returns {Promise<CartState | null>} The cart after the lines were restored, or null if there's nothing to undo
+   */
+  async undo(options = {}) {
+    const entry = this.#history.pop();
+    if (!entry) return null;
+
+    this.#dispatchHistory();
+
+    const items = entry.items.map((item) => ({
+      id: item.variant_id,
+      quantity: item.quantity,
+      properties: item.properties ?? {},
+      selling_plan: item.selling_plan_allocation?.selling_plan.id,
+    }));
+
+    try {
+      return await this.add(
+        { items },
+        { queueWhenOffline: true, ...options, eventData: { source: 'cart-undo', ...options.eventData } }
+      );
+    } catch (error) {
+      // Rejected restores are reported by the add request, anything else can be tried again
+      if (!(error instanceof CartOfflineError) && !(error instanceof CartRequestError)) {
+        this.#history.push(entry);
+        this.#dispatchHistory();
+      }
+
+      throw error;
+    }
+  }
+
+  /**
+   * Queues a cart mutation that replies with the full cart and dispatches a cart update event.
+   * @param {string} url - The Ajax Cart API endpoint
+   * @param {Record<string, any>} params - The request parameters
+   * @param {CartRequestOptions} options
+   * @returns {Promise<CartResponse>}
+   */
+  #mutate(url, params, options) {
+    const body = JSON.stringify({ ...params, ...this.#sectionsParams(this.#sectionIds(options), options) });
+    const itemsBeforePrediction = this.#state?.items;
+    const predictedState = options.optimistic ? this.#predictLineChange(params) : null;
+
+    if (predictedState) this.#setState(predictedState);
+
+    // These endpoints set absolute values, so an identical request that is still pending has the same outcome
+    return this.#dedupe(`${url}:${body}`, () =>
+      this.#enqueue(async () => {
+        options.signal?.throwIfAborted();
+        await this.#replayPendingMutations();
+
+        try {
+          const previousItems = options.undoable
+            ? (predictedState ? itemsBeforePrediction : this.#state?.items) ?? (await this.#fetchCart()).items
+            : null;
+          const response = await this.#post(url, body, options.signal);
+          const { sections, ...cart } = response;
+
+          this.#setState(cart);
+          if (previousItems) this.#recordRemovedLines(previousItems, cart.items);
+          this.#dispatch(
+            new CartUpdateEvent(cart, options.sourceId ?? '', {
+              itemCount: cart.item_count,
+              sections,
+              ...options.eventData,
+            }),
+            options
+          );
+
+          return response;
+        } catch (error) {
+          if (
+            options.queueWhenOffline &&
+            isNetworkError(error) &&
+            this.#addPendingMutation({ url, ...this.#lineKeyParams(params), timestamp: Date.now() })
+          ) {
+            throw new CartOfflineError();
+          }
+
+          if (error instanceof CartRequestError) this.#dispatchError(error, options);
+          if (predictedState) await this.#fetchCart().catch(() => {});
+          throw error;
+        }
+      })
+    );
+  }
+
+  /**
+   * Adds the lines a mutation removed to the undo history.
+   * @param {CartLineItem[]} previousItems - The lines before the mutation
+   * @param {CartLineItem[]} items - The lines after the mutation
+   */
+  #recordRemovedLines(previousItems, items) {
+    const removedItems = previousItems.filter((previousItem) => !items.some((item) => item.key === previousItem.key));
+    if (!removedItems.length) return;
+
+    this.#history = [...this.#history, { items: removedItems, timestamp: Date.now() }].slice(-HISTORY_LIMIT);
+    this.#dispatchHistory();
+  }
+
+  #dispatchHistory() {
+    document.dispatchEvent(new CartHistoryEvent(this.history));
+  }
+
+  /**
+   * Predicts the cart once a line quantity change is applied.
+   * Cart level discounts are only applied once the server confirms the change.
+   * @param {Record<string, any>} params - The line change parameters
+   * @returns {CartState | null} The predicted cart, or null if it can't be predicted
+   */
+  #predictLineChange({ id, line, quantity }) {
+    const state = this.#state;
+    if (!state || typeof quantity !== 'number') return null;
+
+    const index = id
+      ? state.items.findIndex((item) => item.key === id || String(item.variant_id) === String(id))
+      : line - 1;
+    const item = state.items[index];
+    if (!item) return null;
+
+    const unitPrice = item.quantity ? item.final_line_price / item.quantity : 0;
+    const quantityDifference = quantity - item.quantity;
+    const items =
+      quantity === 0
+        ? state.items.filter((_, itemIndex) => itemIndex !== index)
+        : state.items.map((lineItem, itemIndex) =>
+            itemIndex === index
+              ? { ...lineItem, quantity, final_line_price: Math.round(unitPrice * quantity) }
+              : lineItem
+          );
+
+    return {
+      ...state,
+      items,
+      item_count: state.item_count + quantityDifference,
+      total_price: state.total_price + Math.round(unitPrice * quantityDifference),
+    };
+  }
+
+  /**
+   * Replaces a line index with the line key, which stays valid when other lines are added or removed.
+   * @param {Record<string, any>} params - The mutation parameters
+   * @returns {{ params: Record<string, any>, key?: string }}
+   */
+  #lineKeyParams(params) {
+    const { line, ...rest } = params;
+    const key = params.id ?? (line ? this.#state?.items[line - 1]?.key : undefined);
+
+    if (!key) return { params };
+
+    return { params: { ...rest, id: key }, key };
+  }
+
+  /**
+   * Stores a mutation to replay once the connection is back.
+   * A later change to the same line replaces the earlier one, since only the final values matter.
+   * @param {PendingCartMutation} mutation
+   * @returns {boolean} Whether the mutation was stored, the request fails as usual otherwise
+   */
+  #addPendingMutation(mutation) {
+    const mutations = this.pendingMutations.filter(
+      (pending) => !mutation.key || pending.key !== mutation.key || pending.url !== mutation.url
+    );
+
+    return this.#setPendingMutations([...mutations, mutation]);
+  }
+
+  /**
+   * @param {PendingCartMutation[]} mutations
+   * @returns {boolean} Whether the mutations were stored
+   */
+  #setPendingMutations(mutations) {
+    if (!this.#pendingMutationsStorage.write(mutations)) return false;
+
+    document.dispatchEvent(new CartPendingEvent(mutations));
+    return true;
+  }
+
+  #schedulePendingMutations = () => {
+    if (!this.pendingMutations.length) return;
+
+    this.#enqueue(() => this.#replayPendingMutations()).catch((error) => console.error(error));
+  };
+
+  /**
+   * Replays the stored mutations, in one tab only.
+   * Every open tab replays them when the connection is back, so the tab holding the lock sends them
+   * and the others find them gone once they get it.
+   */
+  async #replayPendingMutations() {
+    if (!this.pendingMutations.length) return;
+
+    if ('locks' in navigator) {
+      await navigator.locks.request(PENDING_MUTATIONS_KEY, () => this.#sendPendingMutations());
+    } else {
+      await this.#sendPendingMutations();
+    }
+  }
+
+  /**
+   * Sends the stored mutations in order, then reconciles every component with the server cart.
+   * Mutations the server rejects, for example because the line is gone or the variant sold out,
+   * are dropped and reported. The replay stops at the first network failure.
+   */
+  async #sendPendingMutations() {
+    let mutations = this.pendingMutations;
+    if (!mutations.length) return;
+
+    while (mutations.length) {
+      const [mutation, ...remainingMutations] = mutations;
+      if (!mutation) break;
+
+      try {
+        const body = Array.isArray(mutation.params)
+          ? formDataFromEntries(mutation.params)
+          : JSON.stringify(mutation.params);
+
+        await this.#post(mutation.url, body);
+      } catch (error) {
+        if (isNetworkError(error)) return;
+
+        if (error instanceof CartRequestError) {
+          this.#dispatchError(error, {});
+        } else {
+          console.error(error);
+        }
+      }
+
+      mutations = remainingMutations;
+      this.#setPendingMutations(mutations);
+    }
+
+    try {
+      const cart = await this.#fetchCart();
+
+      this.#dispatch(new CartUpdateEvent(cart, '', { itemCount: cart.item_count, source: 'cart-replay' }), {});
+    } catch (error) {
+      if (!isNetworkError(error)) throw error;
+    }
+  }
+
+  /**
+   * Sends a request to the Ajax Cart API.
+   * @param {string} url - The endpoint
+   * @param {FormData | string} body - The request body
+   * @param {AbortSignal} [signal] - The signal used to abort the request
+   * @returns {Promise<any>} The parsed response
+   */
+  async #post(url, body, signal) {
+    const config = body instanceof FormData ? fetchConfig('javascript', { body }) : fetchConfig('json', { body });
+    const response = await fetchOrThrowNetworkError(url, { ...config, signal });
+    const data = await response.json();
+
+    if (data.status || data.errors) throw new CartRequestError(data);
+
+    return data;
+  }
+
+  /**
+   * Fetches the cart without waiting for the queue.
+   * @returns {Promise<CartState>}
+   */
+  async #fetchCart() {
+    const response = await fetchOrThrowNetworkError(`${Theme.routes.cart_url}.js`);
+    const cart = await response.json();
+
+    this.#setState(cart);
+
+    return cart;
+  }
+
+  /**
+   * Runs a task once every previously queued task has settled.
+   * @template T
+   * @param {() => Promise<T>} task
+   * @returns {Promise<T>}
+   */
+  #enqueue(task) {
+    const result = this.#queue.then(task);
+    this.#queue = result.catch(() => {});
+
+    return result;
+  }
+
+  /**
+   * Returns the pending promise for a request, or starts it.
+   * @template T
+   * @param {string} key - The key identifying the request
+   * @param {() => Promise<T>} request
+   * @returns {Promise<T>}
+   */
+  #dedupe(key, request) {
+    const pendingRequest = this.#pendingRequests.get(key);
+    if (pendingRequest) return pendingRequest;
+
+    const promise = request().finally(() => this.#pendingRequests.delete(key));
+    this.#pendingRequests.set(key, promise);
+
+    return promise;
+  }
+
+  /**
+   * @param {CartState} cart
+   */
+  #setState(cart) {
+    this.#state = cart;
+
+    for (const subscriber of this.#subscribers) {
+      subscriber(cart);
+    }
+  }
+
+  /**
+   * Gets the sections to render with a request.
+   * @param {CartRequestOptions} options
+   * @returns {string[]}
+   */
+  #sectionIds(options) {
+    if (options.sections) return options.sections;
+
+    /** @type {Set<string>} */
+    const sectionIds = new Set();
+
+    for (const cartItemsComponent of document.querySelectorAll('cart-items-component')) {
+      if (cartItemsComponent instanceof HTMLElement && cartItemsComponent.dataset.sectionId) {
+        sectionIds.add(cartItemsComponent.dataset.sectionId);
+      }
+    }
+
+    return Array.from(sectionIds);
+  }
+
+  /**
+   * @param {string[]} sections
+   * @param {CartRequestOptions} options
+   * @returns {{ sections?: string, sections_url?: string }}
+   */
+  #sectionsParams(sections, options) {
+    if (!sections.length) return {};
+
+    return {
+      sections: sections.join(','),
+      sections_url: options.sectionsUrl ?? window.location.pathname,
+    };
+  }
+
+  /**
+   * @param {Event} event
+   * @param {CartRequestOptions} options
+   */
+  #dispatch(event, options) {
+    // Every confirmed cart change is shared, even the ones this tab doesn't announce
+    if (event instanceof CartUpdateEvent || event instanceof CartAddEvent) {
+      this.#broadcast(/** @type {CartState} */ (event.detail.resource));
+    }
+
+    if (options.silent) return;
+
+    (options.target ?? document).dispatchEvent(event);
+  }
+
+  /**
+   * Shares a confirmed cart with the other tabs.
+   * @param {CartState} cart
+   */
+  #broadcast(cart) {
+    const message = { cart, timestamp: Date.now() };
+
+    try {
+      if (this.#syncChannel) {
+        this.#syncChannel.postMessage(message);
+      } else {
+        // Storage events are only fired in the other tabs
+        localStorage.setItem(SYNC_CHANNEL_NAME, JSON.stringify(message));
+      }
+    } catch (error) {
+      console.error(error);
+    }
+  }
+
+  /**
+   * @param {StorageEvent} event
+   */
+  #handleSyncStorage = (event) => {
+    if (event.key !== SYNC_CHANNEL_NAME || !event.newValue) return;
+
+    try {
+      this.#receiveSyncedCart(JSON.parse(event.newValue));
+    } catch (_) {
+      // Ignore malformed messages
+    }
+  };
+
+  /**
+   * Applies a cart changed in another tab and lets every component re-render.
+   * The event isn't shared again, so tabs don't echo each other.
+   * @param {{ cart?: CartState }} message
+   */
+  #receiveSyncedCart({ cart }) {
+    if (!cart?.items) return;
+
+    this.#setState(cart);
+    document.dispatchEvent(new CartUpdateEvent(cart, '', { itemCount: cart.item_count, source: 'cart-sync' }));
+  }
+
+  /**
+   * @param {CartRequestError} error
+   * @param {CartRequestOptions} options
+   */
+  #dispatchError(error, options) {
+    this.#dispatch(
+      new CartErrorEvent(options.sourceId ?? '', error.message, error.description ?? '', error.errors),
+      options
+    );
+  }
+}
+
+/**
+ * Fetches a URL, telling the requests that couldn't reach the server apart from the other errors.
+ * @param {string} url
+ * @param {RequestInit} [init]
+ * @returns {Promise<Response>}
+ */
+async function fetchOrThrowNetworkError(url, init) {
+  try {
+    return await fetch(url, init);
+  } catch (error) {
+    if (error instanceof DOMException && error.name === 'AbortError') throw error;
+
+    throw new CartNetworkError(error);
+  }
+}
+
+/**
+ * Checks if a request failed because the server couldn't be reached.
+ * @param {unknown} error
+ * @returns {boolean}
+ */
+function isNetworkError(error) {
+  return error instanceof CartNetworkError;
+}
+
+/**
+ * Counts the items an add request asks for, the event data of an add has the count rather than the cart total.
+ * Like the Ajax Cart API, the quantity of an item defaults to 1.
+ * @param {FormData | { items: Array<{ quantity?: number }> }} items - The product form data or a list of items
+ * @returns {number}
+ */
+function countAddedItems(items) {
+  if (items instanceof FormData) return Number(items.get('quantity')) || 1;
+
+  return items.items.reduce((count, item) => count + (Number(item.quantity) || 1), 0);
+}
+
+/**
+ * Gets the text entries of a form, leaving out the sections that are only relevant to the current page.
+ * @param {FormData} formData
+ * @returns {Array<[string, string]> | null} The entries, or null if the form has files that can't be stored
+ */
+function formEntries(formData) {
+  /** @type {Array<[string, string]>} */
+  const entries = [];
+
+  for (const [name, value] of formData) {
+    // File inputs left empty are sent as a nameless empty file
+    if (value instanceof File) {
+      if (value.name || value.size) return null;
+      continue;
+    }
+
+    if (name === 'sections' || name === 'sections_url') continue;
+    entries.push([name, value]);
+  }
+
+  return entries;
+}
+
+/**
+ * @param {Array<[string, string]>} entries
+ * @returns {FormData}
+ */
+function formDataFromEntries(entries) {
+  const formData = new FormData();
+
+  for (const [name, value] of entries) {
+    formData.append(name, value);
+  }
+
+  return formData;
+}
+
+export const cart = new CartStore();
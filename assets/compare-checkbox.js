@@ -0,0 +1,75 @@
+import { Component } from '@theme/component';
+import { ThemeEvents } from '@theme/events';
+import { ProductCompare } from '@theme/product-compare';
+
+/**
+ * A custom element that adds a product to the comparison, or removes it.
+ *
+ * @typedef {object} Refs
+ * @property {HTMLInputElement} checkbox - The compare checkbox.
+ * @property {HTMLElement} message - The message shown when the comparison is full.
+ *
+ * @extends {Component<Refs>}
+ */
+class CompareCheckbox extends Component {
+  requiredRefs = ['checkbox', 'message'];
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    document.addEventListener(ThemeEvents.compareUpdate, this.#render);
+    window.addEventListener('storage', this.#handleStorage);
+
+    this.#render();
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    document.removeEventListener(ThemeEvents.compareUpdate, this.#render);
+    window.removeEventListener('storage', this.#handleStorage);
+  }
+
+  /**
+   * Adds the product to the comparison, or removes it.
+   */
+  toggle() {
+    const { productId, productTitle, productUrl, productImage } = this.dataset;
+    const { checkbox, message } = this.refs;
+
+    if (!productId || !productTitle || !productUrl) return;
+
+    if (!checkbox.checked) {
+      ProductCompare.remove(productId);
+      return;
+    }
+
+    const added = ProductCompare.add({ id: productId, title: productTitle, url: productUrl, image: productImage });
+
+    if (!added) {
+      checkbox.checked = false;
+      message.textContent =
+        Theme.translations.compare_limit_reached?.replace('[limit]', String(ProductCompare.limit)) ?? '';
+      message.classList.remove('hidden');
+    }
+  }
+
+  /**
+   * @param {StorageEvent} event - The storage event.
+   */
+  #handleStorage = (event) => {
+    if (ProductCompare.isStorageEvent(event)) this.#render();
+  };
+
+  #render = () => {
+    const { productId } = this.dataset;
+    const { checkbox, message } = this.refs;
+
+    checkbox.checked = Boolean(productId && ProductCompare.has(productId));
+    message.classList.add('hidden');
+  };
+}
+
+if (!customElements.get('compare-checkbox')) {
+  customElements.define('compare-checkbox', CompareCheckbox);
+}
@@ -0,0 +1,198 @@
+import { Component } from '@theme/component';
+import { DialogComponent, DialogCloseEvent } from '@theme/dialog';
+import { ThemeEvents } from '@theme/events';
+import { ProductCompare } from '@theme/product-compare';
+import { renderProductsByIds } from '@theme/section-renderer';
+
+/** @typedef {import('./product-compare').CompareProduct} CompareProduct */
+
+/**
+ * A custom element that shows the products selected for comparison in a floating tray.
+ *
+ * @typedef {object} Refs
+ * @property {HTMLElement} count - The number of compared products.
+ * @property {HTMLUListElement} list - The list of compared products.
+ * @property {HTMLTemplateElement} itemTemplate - The template of a compared product.
+ * @property {HTMLButtonElement} compareButton - The button that opens the comparison.
+ *
+ * @extends {Component<Refs>}
+ */
+class CompareTray extends Component {
+  requiredRefs = ['count', 'list', 'itemTemplate', 'compareButton'];
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    document.addEventListener(ThemeEvents.compareUpdate, this.#render);
+    window.addEventListener('storage', this.#handleStorage);
+
+    this.#render();
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    document.removeEventListener(ThemeEvents.compareUpdate, this.#render);
+    window.removeEventListener('storage', this.#handleStorage);
+  }
+
+  /**
+   * Removes all the products from the comparison.
+   */
+  clear() {
+    ProductCompare.clear();
+  }
+
+  #render = () => {
+    const products = ProductCompare.list();
+    const { count, list, itemTemplate, compareButton } = this.refs;
+
+    count.textContent = `(${products.length}/${ProductCompare.limit})`;
+    list.replaceChildren(...products.map((product) => this.#renderItem(product, itemTemplate)));
+
+    // A single product can't be compared
+    compareButton.disabled = products.length < 2;
+
+    this.classList.toggle('hidden', products.length === 0);
+  };
+
+  /**
+   * @param {CompareProduct} product - The compared product.
+   * @param {HTMLTemplateElement} template - The template of a compared product.
+   * @returns {HTMLElement} The element of the compared product.
+   */
+  #renderItem(product, template) {
+    const fragment = /** @type {DocumentFragment} */ (template.content.cloneNode(true));
+    const element = /** @type {HTMLElement} */ (fragment.firstElementChild);
+
+    /**
+     * @param {string} name
+     * @returns {HTMLElement | null}
+     */
+    const field = (name) => element.querySelector(`[data-compare-item="${name}"]`);
+
+    const link = field('link');
+    const image = field('image');
+    const title = field('title');
+    const remove = field('remove');
+
+    if (link instanceof HTMLAnchorElement) link.href = product.url;
+    if (title) title.textContent = product.title;
+
+    if (image instanceof HTMLImageElement && product.image) {
+      image.src = product.image;
+    } else {
+      image?.remove();
+    }
+
+    if (remove) {
+      remove.setAttribute('aria-label', remove.getAttribute('aria-label')?.replace('[title]', product.title) ?? '');
+      remove.addEventListener('click', () => ProductCompare.remove(product.id));
+    }
+
+    return element;
+  }
+
+  /**
+   * Renders the products compared in another tab.
+   * @param {StorageEvent} event - The storage event.
+   */
+  #handleStorage = (event) => {
+    if (ProductCompare.isStorageEvent(event)) this.#render();
+  };
+}
+
+if (!customElements.get('compare-tray')) {
+  customElements.define('compare-tray', CompareTray);
+}
+
+/**
+ * A custom element that shows the comparison table of the compared products in a dialog.
+ * The table is rendered by the comparison section, searching for the product ids like the wishlist.
+ *
+ * @extends {DialogComponent}
+ */
+class CompareDialog extends DialogComponent {
+  /** @type {AbortController | null} */
+  #activeFetch = null;
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    document.addEventListener(ThemeEvents.compareUpdate, this.#handleCompareUpdate);
+    this.addEventListener(DialogCloseEvent.eventName, this.#handleDialogClose);
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    document.removeEventListener(ThemeEvents.compareUpdate, this.#handleCompareUpdate);
+    this.removeEventListener(DialogCloseEvent.eventName, this.#handleDialogClose);
+    this.#activeFetch?.abort();
+  }
+
+  /**
+   * Renders the comparison table and opens the dialog.
+   */
+  async showComparison() {
+    await this.#renderComparison();
+
+    // The dialog also opens when the comparison fails, to show the error
+    this.showDialog();
+  }
+
+  /**
+   * Removes a product from the comparison.
+   * @param {number | string} productId - The ID of the product to remove.
+   */
+  removeProduct(productId) {
+    ProductCompare.remove(String(productId));
+  }
+
+  #handleCompareUpdate = () => {
+    if (!this.refs.dialog.open) return;
+
+    if (ProductCompare.list().length === 0) {
+      this.closeDialog();
+    } else {
+      this.#renderComparison();
+    }
+  };
+
+  #handleDialogClose = () => {
+    this.#activeFetch?.abort();
+  };
+
+  async #renderComparison() {
+    const { content, error } = this.refs;
+    const { sectionId } = this.dataset;
+    const products = ProductCompare.list();
+
+    if (!(content instanceof HTMLElement) || !(error instanceof HTMLElement)) return;
+    if (!sectionId || products.length === 0) return;
+
+    this.#activeFetch?.abort();
+
+    const abortController = new AbortController();
+    this.#activeFetch = abortController;
+
+    try {
+      const productIds = products.map(({ id }) => id);
+      const rendered = await renderProductsByIds(sectionId, productIds, content, '.product-comparison', {
+        signal: abortController.signal,
+      });
+
+      if (!abortController.signal.aborted) error.classList.toggle('hidden', rendered);
+    } catch (renderError) {
+      if (abortController.signal.aborted) return;
+
+      console.error(renderError);
+      content.replaceChildren();
+      error.classList.remove('hidden');
+    }
+  }
+}
+
+if (!customElements.get('compare-dialog')) {
+  customElements.define('compare-dialog', CompareDialog);
+}
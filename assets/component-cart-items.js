@@ -1,11 +1,21 @@
 import { Component } from '@theme/component';
-import { fetchConfig, debounce, onAnimationEnd, prefersReducedMotion, resetShimmer } from '@theme/utilities';
+import {
+  debounce,
+  formatCents,
+  onAnimationEnd,
+  prefersReducedMotion,
+  requestIdleCallback,
+  resetShimmer,
+} from '@theme/utilities';
 import { morphSection, sectionRenderer } from '@theme/section-renderer';
+import { cart, CartOfflineError, CartRequestError } from '@theme/cart';
+import { SavedForLater } from '@theme/saved-for-later';
 import {
   ThemeEvents,
   CartUpdateEvent,
   QuantitySelectorUpdateEvent,
   CartAddEvent,
+  CartPendingEvent,
   DiscountUpdateEvent,
 } from '@theme/events';
 import { cartPerformance } from '@theme/performance';
@@ -19,18 +29,40 @@ import { cartPerformance } from '@theme/performance';
  * @property {HTMLElement[]} quantitySelectors - The quantity selector elements.
  * @property {HTMLTableRowElement[]} cartItemRows - The cart item rows.
  * @property {TextComponent} cartTotal - The cart total.
+ * @property {HTMLElement | undefined} pendingNotice - The notice shown while cart updates wait for the connection.
+ * @property {HTMLTemplateElement | undefined} lineMoneyFormat - The money format of the line totals.
+ * @property {HTMLTemplateElement | undefined} totalMoneyFormat - The money format of the cart total.
  *
  * @extends {Component<Refs>}
  */
 class CartItemsComponent extends Component {
   #debouncedOnChange = debounce(this.#onQuantityChange, 300).bind(this);
 
+  /**
+   * The number of optimistic line updates waiting for the server.
+   * @type {number}
+   */
+  #pendingOptimisticUpdates = 0;
+
   connectedCallback() {
     super.connectedCallback();
 
+    // Optimistic updates are predicted from the cart state, so load it before the first change
+    if (this.#optimisticUpdatesEnabled) requestIdleCallback(() => cart.load());
+
     document.addEventListener(ThemeEvents.cartUpdate, this.#handleCartUpdate);
     document.addEventListener(ThemeEvents.discountUpdate, this.handleDiscountUpdate);
     document.addEventListener(ThemeEvents.quantitySelectorUpdate, this.#debouncedOnChange);
+    document.addEventListener(ThemeEvents.cartPending, this.#handleCartPending);
+
+    this.#renderPendingState(cart.pendingMutations);
+  }
+
+  updatedCallback() {
+    super.updatedCallback();
+
+    // Re-rendered rows don't know about the updates still waiting for the connection
+    this.#renderPendingState(cart.pendingMutations);
   }
 
   disconnectedCallback() {
@@ -38,6 +70,7 @@ class CartItemsComponent extends Component {
 
     document.removeEventListener(ThemeEvents.cartUpdate, this.#handleCartUpdate);
     document.removeEventListener(ThemeEvents.quantitySelectorUpdate, this.#debouncedOnChange);
+    document.removeEventListener(ThemeEvents.cartPending, this.#handleCartPending);
   }
 
   /**
@@ -63,7 +96,8 @@ class CartItemsComponent extends Component {
     });
     const lineItemRow = this.refs.cartItemRows[line - 1];
 
-    if (!lineItemRow) return;
+    // Optimistic updates show the new line total right away
+    if (!lineItemRow || this.#optimisticUpdatesEnabled) return;
 
     const textComponent = /** @type {TextComponent | undefined} */ (lineItemRow.querySelector('text-component'));
     textComponent?.shimmer();
@@ -80,6 +114,38 @@ class CartItemsComponent extends Component {
       action: 'clear',
     });
 
+    this.#animateLineRemoval(line);
+  }
+
+  /**
+   * Moves a line item to the saved for later list.
+   * @param {number} line - The line item index.
+   */
+  async onLineItemSave(line) {
+    const key = this.refs.cartItemRows[line - 1]?.dataset.key;
+    const { items } = await cart.load();
+    const lineItem = items.find((item) => item.key === key);
+
+    if (!lineItem) return;
+
+    const removal = this.updateQuantity({
+      line,
+      quantity: 0,
+      action: 'save',
+      undoable: false,
+    });
+
+    this.#animateLineRemoval(line);
+
+    // The line is only saved once it has left the cart, so a failed removal doesn't leave it in both lists
+    if (await removal) SavedForLater.addLine(lineItem);
+  }
+
+  /**
+   * Animates the row of a removed line and its nested lines out.
+   * @param {number} line - The line item index.
+   */
+  #animateLineRemoval(line) {
     const cartItemRowToRemove = this.refs.cartItemRows[line - 1];
 
     if (!cartItemRowToRemove) return;
@@ -110,79 +176,176 @@ class CartItemsComponent extends Component {
    * @param {number} config.line - The line.
    * @param {number} config.quantity - The quantity.
    * @param {string} config.action - The action.
+   * @param {boolean} [config.undoable] - Whether a removal can be undone, defaults to true.
+   * @returns {Promise<boolean>} Whether the change was applied, or queued until the connection is back.
    */
   updateQuantity(config) {
     const cartPerformaceUpdateMarker = cartPerformance.createStartingMarker(`${config.action}:user-action`);
 
-    this.#disableCartItems();
-
     const { line, quantity } = config;
+    const undoable = quantity === 0 && config.undoable !== false;
     const { cartTotal } = this.refs;
+    const row = this.refs.cartItemRows[line - 1];
 
-    const cartItemsComponents = document.querySelectorAll('cart-items-component');
-    const sectionsToUpdate = new Set([this.sectionId]);
-    cartItemsComponents.forEach((item) => {
-      if (item instanceof HTMLElement && item.dataset.sectionId) {
-        sectionsToUpdate.add(item.dataset.sectionId);
-      }
-    });
+    if (row && this.#optimisticUpdatesEnabled && cart.state) {
+      return this.#updateQuantityOptimistically(row, quantity, undoable, cartPerformaceUpdateMarker);
+    }
 
-    const body = JSON.stringify({
-      line: line,
-      quantity: quantity,
-      sections: Array.from(sectionsToUpdate).join(','),
-      sections_url: window.location.pathname,
-    });
+    this.#disableCartItems();
 
     cartTotal?.shimmer();
 
-    fetch(`${Theme.routes.cart_change_url}`, fetchConfig('json', { body }))
-      .then((response) => {
-        return response.text();
-      })
-      .then((responseText) => {
-        const parsedResponseText = JSON.parse(responseText);
+    return cart
+      .change(
+        { line, quantity },
+        {
+          target: this,
+          sourceId: this.sectionId,
+          queueWhenOffline: true,
+          undoable,
+          eventData: { source: 'cart-items-component' },
+        }
+      )
+      .then((updatedCart) => {
+        resetShimmer(this);
+
+        // Update data-cart-quantity for all matching variants
+        this.#updateQuantitySelectors(updatedCart);
+
+        const sectionHTML = updatedCart.sections?.[this.sectionId];
+        if (sectionHTML) morphSection(this.sectionId, sectionHTML);
+
+        this.#updateCartQuantitySelectorButtonStates();
 
+        return true;
+      })
+      .catch((error) => {
         resetShimmer(this);
 
-        if (parsedResponseText.errors) {
-          this.#handleCartError(line, parsedResponseText);
-          return;
+        // The update is replayed once the connection is back, so the quantity the customer chose is kept
+        if (error instanceof CartOfflineError) return true;
+
+        if (error instanceof CartRequestError) {
+          this.#handleCartError(line, error.errors ?? error.message);
+          return false;
         }
 
-        const newSectionHTML = new DOMParser().parseFromString(
-          parsedResponseText.sections[this.sectionId],
-          'text/html'
-        );
+        console.error(error);
+        return false;
+      })
+      .finally(() => {
+        this.#enableCartItems();
+        cartPerformance.measureFromMarker(cartPerformaceUpdateMarker);
+      });
+  }
+
+  /**
+   * Updates a line before the server confirms the change and only locks that line.
+   * The line is rolled back with an error if the server rejects the change or adjusts the quantity.
+   * @param {HTMLTableRowElement} row - The row of the line.
+   * @param {number} quantity - The new quantity.
+   * @param {boolean} undoable - Whether the removal of the line can be undone.
+   * @param {PerformanceMark} cartPerformaceUpdateMarker - The marker of the user action.
+   * @returns {Promise<boolean>} Whether the change was applied, or queued until the connection is back.
+   */
+  #updateQuantityOptimistically(row, quantity, undoable, cartPerformaceUpdateMarker) {
+    const { key } = row.dataset;
+    const { cartTotal } = this.refs;
+    const lineTotal = row.querySelector('.cart-items__price text-component');
+    const previousValues = [lineTotal, cartTotal].map((element) => ({
+      element,
+      text: element?.textContent ?? '',
+      value: element?.getAttribute('value') ?? '',
+    }));
+
+    row.classList.add('cart-items__table-row--locked');
+    this.#pendingOptimisticUpdates++;
+
+    const request = cart.change(
+      { id: key, quantity },
+      {
+        target: this,
+        sourceId: this.sectionId,
+        optimistic: true,
+        queueWhenOffline: true,
+        undoable,
+        eventData: { source: 'cart-items-component' },
+      }
+    );
 
-        // Grab the new cart item count from a hidden element
-        const newCartHiddenItemCount = newSectionHTML.querySelector('[ref="cartItemCount"]')?.textContent;
-        const newCartItemCount = newCartHiddenItemCount ? parseInt(newCartHiddenItemCount, 10) : 0;
+    // The cart store has already applied the change to its state
+    const predictedLine = cart.state?.items.find((item) => item.key === key);
+    const currency = cart.state?.currency ?? '';
 
-        // Update data-cart-quantity for all matching variants
-        this.#updateQuantitySelectors(parsedResponseText);
+    if (lineTotal && predictedLine) {
+      const moneyFormat = this.refs.lineMoneyFormat?.content.textContent || '{{amount}}';
+      setTextComponentValue(lineTotal, formatCents(predictedLine.final_line_price, moneyFormat, currency));
+    }
 
-        this.dispatchEvent(
-          new CartUpdateEvent(parsedResponseText, this.sectionId, {
-            itemCount: newCartItemCount,
-            source: 'cart-items-component',
-            sections: parsedResponseText.sections,
-          })
-        );
+    if (cartTotal && cart.state) {
+      const moneyFormat = this.refs.totalMoneyFormat?.content.textContent || '{{amount}}';
+      setTextComponentValue(cartTotal, formatCents(cart.state.total_price, moneyFormat, currency));
+    }
 
-        morphSection(this.sectionId, parsedResponseText.sections[this.sectionId]);
+    return request
+      .then((updatedCart) => {
+        this.#updateQuantitySelectors(updatedCart);
 
-        this.#updateCartQuantitySelectorButtonStates();
+        // Earlier responses don't include the changes still in flight, so only the last one is rendered
+        const sectionHTML = updatedCart.sections?.[this.sectionId];
+        if (sectionHTML && this.#pendingOptimisticUpdates === 1) {
+          morphSection(this.sectionId, sectionHTML);
+          this.#updateCartQuantitySelectorButtonStates();
+        }
+
+        const confirmedLineIndex = updatedCart.items.findIndex((item) => item.key === key);
+        const confirmedQuantity = updatedCart.items[confirmedLineIndex]?.quantity ?? 0;
+
+        if (quantity > 0 && confirmedQuantity !== quantity) {
+          const message = Theme.translations.cart_quantity_adjusted ?? '';
+          this.#handleCartError(confirmedLineIndex + 1, message.replace('[quantity]', String(confirmedQuantity)));
+        }
+
+        return true;
       })
-      .catch((error) => {
-        console.error(error);
+      .catch(async (error) => {
+        // The update is replayed once the connection is back, so the predicted values are kept
+        if (error instanceof CartOfflineError) return true;
+
+        if (!row.isConnected) {
+          // Removed lines are only restored by rendering the cart again
+          await sectionRenderer.renderSection(this.sectionId, { cache: false });
+        } else {
+          for (const { element, text, value } of previousValues) {
+            if (element) setTextComponentValue(element, text, value);
+          }
+        }
+
+        if (!(error instanceof CartRequestError)) {
+          console.error(error);
+          return false;
+        }
+
+        const rowIndex = this.refs.cartItemRows.findIndex((cartItemRow) => cartItemRow.dataset.key === key);
+        if (rowIndex !== -1) this.#handleCartError(rowIndex + 1, error.errors ?? error.message);
+
+        return false;
       })
       .finally(() => {
-        this.#enableCartItems();
+        this.#pendingOptimisticUpdates--;
+        row.classList.remove('cart-items__table-row--locked');
         cartPerformance.measureFromMarker(cartPerformaceUpdateMarker);
       });
   }
 
+  /**
+   * Whether line changes are shown before the server confirms them.
+   * @returns {boolean}
+   */
+  get #optimisticUpdatesEnabled() {
+    return this.dataset.optimisticUpdates === 'true';
+  }
+
   /**
    * Handles the discount update.
    * @param {DiscountUpdateEvent} event - The event.
@@ -194,10 +357,9 @@ class CartItemsComponent extends Component {
   /**
    * Handles the cart error.
    * @param {number} line - The line.
-   * @param {Object} parsedResponseText - The parsed response text.
-   * @param {string} parsedResponseText.errors - The errors.
+   * @param {string} message - The error message.
    */
-  #handleCartError = (line, parsedResponseText) => {
+  #handleCartError = (line, message) => {
     const quantitySelector = this.refs.quantitySelectors[line - 1];
     const quantityInput = quantitySelector?.querySelector('input');
 
@@ -211,7 +373,7 @@ class CartItemsComponent extends Component {
     if (!(cartItemError instanceof HTMLElement)) throw new Error('Cart item error not found');
     if (!(cartItemErrorContainer instanceof HTMLElement)) throw new Error('Cart item error container not found');
 
-    cartItemError.textContent = parsedResponseText.errors;
+    cartItemError.textContent = message;
     cartItemErrorContainer.classList.remove('hidden');
   };
 
@@ -238,6 +400,28 @@ class CartItemsComponent extends Component {
     }
   };
 
+  /**
+   * Handles the cart updates waiting for the connection.
+   * @param {CartPendingEvent} event - The event.
+   */
+  #handleCartPending = (event) => {
+    this.#renderPendingState(event.detail.mutations);
+  };
+
+  /**
+   * Shows the pending notice and marks the lines with updates waiting for the connection.
+   * @param {Array<{ key?: string }>} mutations - The pending cart updates.
+   */
+  #renderPendingState(mutations) {
+    const pendingKeys = new Set(mutations.map((mutation) => mutation.key));
+
+    this.refs.pendingNotice?.classList.toggle('hidden', mutations.length === 0);
+
+    for (const row of this.refs.cartItemRows ?? []) {
+      row.classList.toggle('cart-items__table-row--pending', pendingKeys.has(row.dataset.key));
+    }
+  }
+
   /**
    * Disables the cart items.
    */
@@ -300,6 +484,17 @@ class CartItemsComponent extends Component {
   }
 }
 
+/**
+ * Sets the text of a text component, along with the value its shimmer effect displays.
+ * @param {Element} element - The text component.
+ * @param {string} text - The new text.
+ * @param {string} [value] - The new value, defaults to the text.
+ */
+function setTextComponentValue(element, text, value = text) {
+  element.textContent = text;
+  element.setAttribute('value', value);
+}
+
 if (!customElements.get('cart-items-component')) {
   customElements.define('cart-items-component', CartItemsComponent);
 }
@@ -10,10 +10,24 @@ export class ThemeEvents {
   static variantSelected = 'variant:selected';
   /** @static @constant {string} Event triggered when a variant is changed */
   static variantUpdate = 'variant:update';
+  /** @static @constant {string} Event triggered when a variant is resolved from the product data, before the section is updated */
+  static variantResolved = 'variant:resolved';
+  /** @static @constant {string} Event triggered when a selling plan, or the one-time purchase, is selected */
+  static sellingPlanUpdate = 'selling-plan:update';
   /** @static @constant {string} Event triggered when the cart items or quantities are updated */
   static cartUpdate = 'cart:update';
   /** @static @constant {string} Event triggered when a cart update fails */
   static cartError = 'cart:error';
+  /** @static @constant {string} Event triggered when the cart updates waiting for the connection change */
+  static cartPending = 'cart:pending';
+  /** @static @constant {string} Event triggered when the cart removals that can be undone change */
+  static cartHistory = 'cart:history';
+  /** @static @constant {string} Event triggered when the items saved for later change */
+  static savedForLaterUpdate = 'saved-for-later:update';
+  /** @static @constant {string} Event triggered when a product is added to or removed from the wishlist */
+  static wishlistUpdate = 'wishlist:update';
+  /** @static @constant {string} Event triggered when a product is added to or removed from the comparison */
+  static compareUpdate = 'compare:update';
   /** @static @constant {string} Event triggered when a media (video, 3d model) is loaded */
   static mediaStartedPlaying = 'media:started-playing';
   // Event triggered when quantity-selector value is changed
@@ -84,6 +98,63 @@ export class VariantUpdateEvent extends Event {
   }
 }
 
+/**
+ * Event fired when the selected variant is resolved from the product data embedded in the variant picker.
+ * It's dispatched right after the selection, the `VariantUpdateEvent` follows once the section is re-rendered.
+ * @extends {Event}
+ */
+export class VariantResolvedEvent extends Event {
+  /**
+   * Creates a new VariantResolvedEvent
+   * @param {import('./variant-picker').ResolvedVariant} resource - The resolved variant
+   * @param {string} sourceId - The id of the element the action was triggered from
+   * @param {Object} data - Additional event data
+   * @param {string} data.productId - The product ID of the resolved variant
+   */
+  constructor(resource, sourceId, data) {
+    super(ThemeEvents.variantResolved, { bubbles: true });
+    this.detail = {
+      resource,
+      sourceId,
+      data: {
+        productId: data.productId,
+      },
+    };
+  }
+}
+
+/**
+ * @typedef {object} SellingPlanPrices
+ * @property {string | null} id - The id of the selected selling plan, null for the one-time purchase
+ * @property {Record<string, string>} prices - The formatted price of the purchase, by variant id
+ */
+
+/**
+ * Event fired when a selling plan, or the one-time purchase, is selected in the selling plan picker.
+ * @extends {Event}
+ */
+export class SellingPlanUpdateEvent extends Event {
+  /**
+   * Creates a new SellingPlanUpdateEvent
+   * @param {SellingPlanPrices} resource - The selected selling plan and its prices
+   * @param {string} sourceId - The id of the element the action was triggered from
+   * @param {Object} data - Additional event data
+   * @param {string} data.productId - The product ID the selling plan applies to
+   * @param {string} data.variantId - The id of the selected variant
+   */
+  constructor(resource, sourceId, data) {
+    super(ThemeEvents.sellingPlanUpdate, { bubbles: true });
+    this.detail = {
+      resource,
+      sourceId,
+      data: {
+        productId: data.productId,
+        variantId: data.variantId,
+      },
+    };
+  }
+}
+
 /**
  * Event class for cart additions
  * @extends {Event}
@@ -169,6 +240,99 @@ export class CartErrorEvent extends Event {
   }
 }
 
+/**
+ * Event class for cart updates waiting for the connection to come back
+ * @extends {Event}
+ */
+export class CartPendingEvent extends Event {
+  /**
+   * Creates a new CartPendingEvent
+   * @param {Array<{ key?: string, timestamp: number }>} mutations - The cart updates that will be replayed, oldest first
+   */
+  constructor(mutations) {
+    super(ThemeEvents.cartPending, { bubbles: true });
+    this.detail = {
+      mutations,
+    };
+  }
+}
+
+/**
+ * Event class for changes to the cart removals that can be undone
+ * @extends {Event}
+ */
+export class CartHistoryEvent extends Event {
+  /**
+   * Creates a new CartHistoryEvent
+   * @param {Array<{ items: Array<{ key: string, product_title: string, quantity: number }>, timestamp: number }>} entries - The removals that can be undone, oldest first
+   */
+  constructor(entries) {
+    super(ThemeEvents.cartHistory, { bubbles: true });
+    this.detail = {
+      entries,
+    };
+  }
+}
+
+/**
+ * Event class for changes to the items saved for later
+ * @extends {Event}
+ */
+export class SavedForLaterUpdateEvent extends Event {
+  /**
+   * Creates a new SavedForLaterUpdateEvent
+   * @param {Array<{ id: string, variantId: number, quantity: number }>} items - The saved items, most recently saved first
+   */
+  constructor(items) {
+    super(ThemeEvents.savedForLaterUpdate, { bubbles: true });
+    this.detail = {
+      items,
+    };
+  }
+}
+
+/**
+ * Event class for wishlist updates
+ * @extends {Event}
+ */
+export class WishlistUpdateEvent extends Event {
+  /**
+   * Creates a new WishlistUpdateEvent
+   * @param {string[]} productIds - The IDs of the products in the wishlist, most recently added first
+   * @param {string} productId - The ID of the product that was added or removed
+   * @param {boolean} added - Whether the product was added
+   */
+  constructor(productIds, productId, added) {
+    super(ThemeEvents.wishlistUpdate, { bubbles: true });
+    this.detail = {
+      productIds,
+      productId,
+      added,
+    };
+  }
+}
+
+/**
+ * Event class for product comparison updates
+ * @extends {Event}
+ */
+export class CompareUpdateEvent extends Event {
+  /**
+   * Creates a new CompareUpdateEvent
+   * @param {string[]} productIds - The IDs of the products in the comparison, in the order they were added
+   * @param {string | null} productId - The ID of the product that was added or removed, null when the comparison was cleared
+   * @param {boolean} added - Whether the product was added
+   */
+  constructor(productIds, productId, added) {
+    super(ThemeEvents.compareUpdate, { bubbles: true });
+    this.detail = {
+      productIds,
+      productId,
+      added,
+    };
+  }
+}
+
 /**
  * Event class for quantity-selector updates
  * @extends {Event}
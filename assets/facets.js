@@ -1,7 +1,8 @@
 import { sectionRenderer } from '@theme/section-renderer';
 import { Component } from '@theme/component';
+import { DialogCloseEvent, DialogComponent } from '@theme/dialog';
 import { FilterUpdateEvent, ThemeEvents } from '@theme/events';
-import { debounce, formatMoney, startViewTransition } from '@theme/utilities';
+import { debounce, formatMoney, LocalStorageList, normalizeString, startViewTransition } from '@theme/utilities';
 
 /**
  * Search query parameter.
@@ -15,12 +16,44 @@ const SEARCH_QUERY = 'q';
  * @typedef {Object} FacetsFormRefs
  * @property {HTMLFormElement} facetsForm - The main facets form element
  * @property {HTMLElement | undefined} facetStatus - The facet status element
+ * @property {HTMLElement | undefined} pendingSummary - The summary of the changes that aren't applied yet, in the confirm apply mode
  *
  * @extends {Component<FacetsFormRefs>}
  */
 class FacetsFormComponent extends Component {
   requiredRefs = ['facetsForm'];
 
+  /**
+   * The URL parameters of the rendered results, to tell apart the history entries of other filters
+   * @type {string}
+   */
+  #renderedParameters = getFilterParameters(window.location.href);
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    window.addEventListener('popstate', this.#handlePopState);
+    window.addEventListener('scroll', this.#saveScrollPosition, { passive: true });
+    this.closest('dialog-component')?.addEventListener(DialogCloseEvent.eventName, this.#handleDialogClose);
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    window.removeEventListener('popstate', this.#handlePopState);
+    window.removeEventListener('scroll', this.#saveScrollPosition);
+    this.closest('dialog-component')?.removeEventListener(DialogCloseEvent.eventName, this.#handleDialogClose);
+    this.#saveScrollPosition.cancel();
+  }
+
+  /**
+   * Whether the changes are only applied when they're confirmed, rather than on every change
+   * @returns {boolean}
+   */
+  get #shouldApplyOnConfirm() {
+    return this.getAttribute('apply-mode') === 'confirm';
+  }
+
   /**
    * Creates URL parameters from form data
    * @param {FormData} [formData] - Optional form data to use instead of the main form
@@ -55,6 +88,14 @@ class FacetsFormComponent extends Component {
     return id;
   }
 
+  /**
+   * Whether this is the first facets form of the section, the section has one for each layout
+   * @returns {boolean}
+   */
+  get #isFirstFormOfSection() {
+    return document.querySelector(`facets-form-component[section-id="${this.sectionId}"]`) === this;
+  }
+
   /**
    * Updates the URL hash with current filter parameters
    */
@@ -67,18 +108,235 @@ class FacetsFormComponent extends Component {
       url.searchParams.append(param, value);
     }
 
-    history.pushState({ urlParameters: urlParameters.toString() }, '', url.toString());
+    this.#pushState(url.toString());
+  }
+
+  /**
+   * Adds a history entry for the filtered results
+   * @param {string} url - The URL of the filtered results
+   */
+  #pushState(url) {
+    const { searchParams } = new URL(url, window.location.origin);
+
+    // The scroll position is kept with the current entry, so it's restored when navigating back to it
+    history.replaceState({ ...history.state, scrollY: window.scrollY }, '');
+    history.pushState({ urlParameters: searchParams.toString(), scrollY: window.scrollY }, '', url);
+
+    this.#renderedParameters = getFilterParameters(url);
   }
 
   /**
-   * Updates filters and renders the section
+   * Keeps the scroll position with the current history entry, once scrolling stops
+   */
+  #saveScrollPosition = debounce(() => {
+    if (!this.#isFirstFormOfSection) return;
+
+    history.replaceState({ ...history.state, scrollY: window.scrollY }, '');
+  }, 200);
+
+  /**
+   * Restores the filters of the history entry when navigating back or forward
+   * @param {PopStateEvent} event - The popstate event
+   */
+  #handlePopState = async (event) => {
+    const urlParameters = getFilterParameters(window.location.href);
+
+    // The entry only changed the page, like the ones of the paginated list
+    if (urlParameters === this.#renderedParameters) return;
+
+    this.#renderedParameters = urlParameters;
+    this.#restoreInputs(new URLSearchParams(urlParameters));
+
+    // The section is rendered once, for the first of its forms
+    if (!this.#isFirstFormOfSection) return;
+
+    this.dispatchEvent(new FilterUpdateEvent(new URLSearchParams(urlParameters)));
+
+    try {
+      await sectionRenderer.renderSection(this.sectionId);
+    } catch (error) {
+      // The page of the entry is loaded instead, so the results match the URL
+      console.error(error);
+      location.reload();
+      return;
+    }
+
+    const scrollY = event.state?.scrollY;
+    if (typeof scrollY === 'number') window.scrollTo({ top: scrollY, behavior: 'instant' });
+  };
+
+  /**
+   * Checks the filter and sorting inputs of the URL parameters, until the section is rendered again
+   * @param {URLSearchParams} urlParameters - The URL parameters
+   */
+  #restoreInputs(urlParameters) {
+    const defaultSortBy = this.#defaultSortBy;
+
+    for (const element of this.refs.facetsForm.elements) {
+      if (!(element instanceof HTMLInputElement || element instanceof HTMLSelectElement) || !element.name) continue;
+      if (element.type === 'hidden') continue;
+
+      const values = urlParameters.getAll(element.name);
+      if (values.length === 0 && element.name === 'sort_by') values.push(defaultSortBy);
+
+      if (element instanceof HTMLInputElement && (element.type === 'checkbox' || element.type === 'radio')) {
+        element.checked = values.includes(element.value);
+      } else {
+        element.value = values[0] ?? '';
+      }
+    }
+  }
+
+  /**
+   * The sorting of the results when the URL has none
+   * @returns {string}
+   */
+  get #defaultSortBy() {
+    return (
+      this.closest('.shopify-section')
+        ?.querySelector('details[data-default-sort-by]')
+        ?.getAttribute('data-default-sort-by') ?? ''
+    );
+  }
+
+  /**
+   * Updates filters and renders the section, or stages the changes until they're confirmed
    */
   updateFilters = () => {
+    if (this.#shouldApplyOnConfirm) {
+      this.#updateSeeResults();
+      this.#updatePendingSummary();
+      return;
+    }
+
+    this.#commitFilters();
+  };
+
+  /**
+   * Applies the staged changes and closes the drawer
+   */
+  applyFilters() {
+    if (this.#countPendingChanges() > 0) this.#commitFilters();
+
+    this.#updatePendingSummary();
+    this.#closeDialog();
+  }
+
+  /**
+   * Discards the staged changes and closes the drawer
+   */
+  cancelFilters() {
+    this.#discardFilters();
+    this.#closeDialog();
+  }
+
+  /**
+   * Updates the URL and renders the section for the selected filters
+   */
+  #commitFilters() {
     this.#updateURLHash();
     this.dispatchEvent(new FilterUpdateEvent(this.createURLParameters()));
+    this.#updateSeeResults();
     this.#updateSection();
+  }
+
+  /**
+   * Reverts the inputs to the applied filters and sorting
+   */
+  #discardFilters() {
+    this.#restoreInputs(new URLSearchParams(window.location.search));
+    this.#updatePendingSummary();
+
+    // The section is rendered again to reset the summaries of the facets and the number of results,
+    // the inputs are already reverted when it fails
+    sectionRenderer.renderSection(this.sectionId).catch((error) => console.error(error));
+  }
+
+  /**
+   * Closes the drawer the form is in
+   */
+  #closeDialog() {
+    const dialogComponent = this.closest('dialog-component');
+
+    if (dialogComponent instanceof DialogComponent) dialogComponent.closeDialog();
+  }
+
+  /**
+   * Discards the staged changes when the drawer is closed without applying them
+   */
+  #handleDialogClose = () => {
+    if (this.#shouldApplyOnConfirm && this.#countPendingChanges() > 0) this.#discardFilters();
   };
 
+  /**
+   * Shows how many changes aren't applied yet
+   */
+  #updatePendingSummary() {
+    const { pendingSummary } = this.refs;
+    if (!pendingSummary) return;
+
+    const count = this.#countPendingChanges();
+    const text = Theme.translations[`filters_pending_changes_${count === 1 ? 'one' : 'other'}`] ?? '';
+
+    pendingSummary.textContent = count > 0 ? text.replace('[count]', String(count)) : '';
+    pendingSummary.hidden = count === 0;
+  }
+
+  /**
+   * Counts the values of the filters and the sorting that differ between the form and the applied results
+   * @returns {number} The number of changes
+   */
+  #countPendingChanges() {
+    const appliedParameters = new URLSearchParams(window.location.search);
+    const stagedParameters = this.createURLParameters();
+    let count = 0;
+
+    for (const parameters of [appliedParameters, stagedParameters]) {
+      if (!parameters.has('sort_by')) parameters.set('sort_by', this.#defaultSortBy);
+    }
+
+    for (const key of new Set([...appliedParameters.keys(), ...stagedParameters.keys()])) {
+      if (key === 'page' || key === SEARCH_QUERY) continue;
+
+      const appliedValues = appliedParameters.getAll(key);
+      const stagedValues = stagedParameters.getAll(key);
+
+      // The sorting and the price range have a single value, changing it is one change
+      if (key === 'sort_by' || key.startsWith('filter.v.price.')) {
+        if (appliedValues[0] !== stagedValues[0]) count++;
+        continue;
+      }
+
+      count += appliedValues.filter((value) => !stagedValues.includes(value)).length;
+      count += stagedValues.filter((value) => !appliedValues.includes(value)).length;
+    }
+
+    return count;
+  }
+
+  /**
+   * Shows the number of products of the selected filters on the button closing the drawer, before the section is rendered
+   */
+  async #updateSeeResults() {
+    const button = this.closest('dialog')?.querySelector('.facets__see-results');
+    if (!(button instanceof HTMLButtonElement)) return;
+
+    const count = await fetchProductsCount(this.sectionId, this.createURLParameters());
+    if (count === null) return;
+
+    // The button is the only way to apply the changes when they're confirmed, so it's kept even without results
+    if (count === 0 && this.#shouldApplyOnConfirm) {
+      button.textContent = Theme.translations.no_results_found ?? '';
+      button.hidden = false;
+      return;
+    }
+
+    const text = Theme.translations[`see_items_${count === 1 ? 'one' : 'other'}`] ?? '';
+
+    button.textContent = text.replace('[count]', String(count));
+    button.hidden = count === 0;
+  }
+
   /**
    * Updates the section
    */
@@ -97,12 +355,51 @@ class FacetsFormComponent extends Component {
    * @param {string} url - The URL to update filters with
    */
   updateFiltersByURL(url) {
-    history.pushState('', '', url);
+    this.#pushState(url);
     this.dispatchEvent(new FilterUpdateEvent(this.createURLParameters()));
+    this.#updateSeeResults();
     this.#updateSection();
   }
 }
 
+/**
+ * Gets the number of products of the filtered results from the section HTML, which is cached for the rendering
+ * @param {string} sectionId - The section ID
+ * @param {URLSearchParams} urlParameters - The URL parameters of the results
+ * @returns {Promise<number | null>} The number of products, null when it can't be read
+ */
+async function fetchProductsCount(sectionId, urlParameters) {
+  const url = new URL(window.location.pathname, window.location.origin);
+
+  for (const [key, value] of urlParameters) url.searchParams.append(key, value);
+
+  try {
+    const html = await sectionRenderer.getSectionHTML(sectionId, true, url);
+    const count = new DOMParser()
+      .parseFromString(html, 'text/html')
+      .querySelector('[data-products-count]')
+      ?.getAttribute('data-products-count');
+
+    return count ? Number(count) : null;
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * Gets the parameters of the filtered results from a URL, the page is left out
+ * @param {string} url - The URL
+ * @returns {string} The sorted URL parameters
+ */
+function getFilterParameters(url) {
+  const { searchParams } = new URL(url, window.location.origin);
+
+  searchParams.delete('page');
+  searchParams.sort();
+
+  return searchParams.toString();
+}
+
 if (!customElements.get('facets-form-component')) {
   customElements.define('facets-form-component', FacetsFormComponent);
 }
@@ -110,6 +407,10 @@ if (!customElements.get('facets-form-component')) {
 /**
  * @typedef {Object} FacetInputsRefs
  * @property {HTMLInputElement[]} facetInputs - The facet input elements
+ * @property {HTMLInputElement | undefined} searchInput - The input searching the values of long lists
+ * @property {HTMLElement | undefined} searchStatus - The status announcing the number of matching values
+ * @property {HTMLElement | undefined} searchEmpty - The message shown when no value matches
+ * @property {HTMLButtonElement | undefined} moreValuesButton - The button showing the values past the visible ones
  */
 
 /**
@@ -117,6 +418,48 @@ if (!customElements.get('facets-form-component')) {
  * @extends {Component<FacetInputsRefs>}
  */
 class FacetInputsComponent extends Component {
+  /**
+   * Whether all the matching values are shown, rather than the visible ones only
+   * @type {boolean}
+   */
+  #expanded = false;
+
+  /**
+   * Aborts the counts being filled in when the filters change
+   * @type {AbortController | null}
+   */
+  #countPreviewsController = null;
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    this.#updateCountPreviews();
+
+    if (!this.refs.searchInput) return;
+
+    this.refs.searchInput.addEventListener('keydown', this.#handleSearchKeyDown);
+    this.refs.searchInput.addEventListener('change', this.#handleSearchChange);
+    this.addEventListener('keydown', this.#handleValuesKeyDown);
+    this.#updateVisibleValues();
+  }
+
+  updatedCallback() {
+    super.updatedCallback();
+
+    this.#updateVisibleValues();
+    this.#updateCountPreviews();
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    this.#countPreviewsController?.abort();
+
+    this.refs.searchInput?.removeEventListener('keydown', this.#handleSearchKeyDown);
+    this.refs.searchInput?.removeEventListener('change', this.#handleSearchChange);
+    this.removeEventListener('keydown', this.#handleValuesKeyDown);
+  }
+
   get sectionId() {
     const id = this.closest('.shopify-section')?.id;
     if (!id) throw new Error('FacetInputs component must be a child of a section');
@@ -153,37 +496,233 @@ class FacetInputsComponent extends Component {
   }
 
   /**
-   * Handles mouseover events on facet labels
+   * Prefetches the results of the hovered facet value, and shows the number of products they would have
    * @param {MouseEvent} event - The mouseover event
    */
-  prefetchPage = debounce((event) => {
+  prefetchPage = debounce(async (event) => {
     if (!(event.target instanceof HTMLElement)) return;
 
+    const inputElement = event.target.querySelector('input');
+    const facetsForm = this.closest('facets-form-component');
+
+    if (!(inputElement instanceof HTMLInputElement) || !(facetsForm instanceof FacetsFormComponent)) return;
+
+    const urlParameters = this.#getToggledURLParameters(facetsForm, inputElement);
+    if (!urlParameters) return;
+
+    const count = await fetchProductsCount(facetsForm.sectionId, urlParameters);
+
+    if (count !== null && !inputElement.checked) this.#showCountPreview(inputElement, count);
+  }, 200);
+
+  cancelPrefetchPage = () => this.prefetchPage.cancel();
+
+  /**
+   * Gets the URL parameters of the results with a facet value toggled
+   * @param {FacetsFormComponent} facetsForm - The facets form component
+   * @param {HTMLInputElement} input - The input of the facet value
+   * @returns {URLSearchParams | null} The URL parameters, null when the component isn't in a form
+   */
+  #getToggledURLParameters(facetsForm, input) {
     const form = this.closest('form');
-    if (!form) return;
+    if (!form) return null;
 
     const formData = new FormData(form);
-    const inputElement = event.target.querySelector('input');
 
-    if (!(inputElement instanceof HTMLInputElement)) return;
+    if (!input.checked) formData.append(input.name, input.value);
+
+    const urlParameters = facetsForm.createURLParameters(formData);
+
+    if (input.checked) urlParameters.delete(input.name, input.value);
+
+    return urlParameters;
+  }
 
-    if (!inputElement.checked) formData.append(inputElement.name, inputElement.value);
+  /**
+   * Fills in the number of products of the shown values that the section didn't render a count for, one at a time
+   */
+  async #updateCountPreviews() {
+    this.#countPreviewsController?.abort();
 
     const facetsForm = this.closest('facets-form-component');
+    const { facetInputs = [] } = this.refs;
+
+    this.#syncDisabledItems();
+
     if (!(facetsForm instanceof FacetsFormComponent)) return;
 
-    const urlParameters = facetsForm.createURLParameters(formData);
+    const controller = new AbortController();
+    this.#countPreviewsController = controller;
 
-    const url = new URL(window.location.pathname, window.location.origin);
+    for (const input of facetInputs) {
+      const item = input.closest('li');
+      const preview = item?.querySelector('[data-count-preview]');
 
-    for (const [key, value] of urlParameters) url.searchParams.append(key, value);
+      if (input.checked || input.disabled || item?.classList.contains('hidden')) continue;
+      if (!preview || preview.textContent?.trim()) continue;
 
-    if (inputElement.checked) url.searchParams.delete(inputElement.name, inputElement.value);
+      const urlParameters = this.#getToggledURLParameters(facetsForm, input);
+      if (!urlParameters) return;
 
-    sectionRenderer.getSectionHTML(this.sectionId, true, url);
-  }, 200);
+      const count = await fetchProductsCount(facetsForm.sectionId, urlParameters);
+      if (controller.signal.aborted) return;
 
-  cancelPrefetchPage = () => this.prefetchPage.cancel();
+      if (count !== null && !input.checked) this.#showCountPreview(input, count);
+    }
+  }
+
+  /**
+   * Shows the number of products the results would have with a facet value, and disables it when they have none
+   * @param {HTMLInputElement} input - The input of the facet value
+   * @param {number} count - The number of products
+   */
+  #showCountPreview(input, count) {
+    const preview = input.closest('li')?.querySelector('[data-count-preview]');
+
+    if (preview) preview.textContent = String(count);
+
+    if (count > 0) return;
+
+    input.disabled = true;
+    input.closest('.checkbox')?.classList.add('checkbox--disabled');
+    this.#syncDisabledItems();
+  }
+
+  /**
+   * Keeps the disabled state of the list items in sync with their inputs, since the section rendering skips the items
+   */
+  #syncDisabledItems() {
+    const { facetInputs = [] } = this.refs;
+
+    for (const input of facetInputs) {
+      input.closest('li')?.classList.toggle('facets__inputs-list-item--disabled', input.disabled);
+    }
+  }
+
+  /**
+   * Shows the values matching the search, ignoring case and accents
+   */
+  filterValues() {
+    this.#expanded = false;
+    this.#updateVisibleValues();
+    this.#updateCountPreviews();
+  }
+
+  /**
+   * Shows or hides the matching values past the visible ones
+   */
+  toggleMoreValues() {
+    this.#expanded = !this.#expanded;
+    this.#updateVisibleValues();
+    this.#updateCountPreviews();
+  }
+
+  /**
+   * Hides the values that don't match the search and the ones past the visible ones, and highlights the matches
+   */
+  #updateVisibleValues() {
+    const { searchInput, searchStatus, searchEmpty, moreValuesButton, facetInputs = [] } = this.refs;
+    if (!searchInput) return;
+
+    const searchValue = normalizeString(searchInput.value.trim());
+    const visibleValues = Number(moreValuesButton?.dataset.visibleValues) || Infinity;
+    let matchCount = 0;
+
+    for (const input of facetInputs) {
+      const item = input.closest('li');
+      const label = item?.querySelector('.checkbox__label-text, .facets__value-label');
+      if (!item || !label) continue;
+
+      const text = input.dataset.label ?? input.getAttribute('aria-label') ?? '';
+      const matches = normalizeString(text).includes(searchValue);
+
+      if (matches) matchCount++;
+
+      item.classList.toggle('hidden', !matches || (!this.#expanded && matchCount > visibleValues));
+      highlightMatch(label, text, matches ? searchValue : '');
+    }
+
+    if (moreValuesButton) {
+      moreValuesButton.classList.toggle('hidden', matchCount <= visibleValues);
+      moreValuesButton.setAttribute('aria-expanded', String(this.#expanded));
+    }
+
+    this.dataset.expanded = String(this.#expanded);
+    if (searchEmpty) searchEmpty.hidden = matchCount > 0;
+
+    if (searchStatus) {
+      const { labelResultsCount = '' } = searchStatus.dataset;
+      searchStatus.textContent = searchValue ? labelResultsCount.replace('[count]', String(matchCount)) : '';
+    }
+  }
+
+  /**
+   * @returns {HTMLElement[]} The elements focused to pick the shown values, in their order
+   */
+  #getFocusableValues() {
+    const { facetInputs = [] } = this.refs;
+
+    return facetInputs
+      .map((input) => input.closest('li'))
+      .filter((item) => item && !item.classList.contains('hidden'))
+      .map((item) => item?.querySelector('input:not([tabindex="-1"]), [tabindex="0"]'))
+      .filter((element) => element instanceof HTMLElement);
+  }
+
+  /**
+   * Moves the focus to the values with the down arrow, and clears the search with the escape key
+   * @param {KeyboardEvent} event - The keydown event
+   */
+  #handleSearchKeyDown = (event) => {
+    const { searchInput } = this.refs;
+    if (!searchInput) return;
+
+    switch (event.key) {
+      case 'Enter':
+      case 'ArrowDown':
+        // Enter would submit the facets form
+        event.preventDefault();
+        this.#getFocusableValues()[0]?.focus();
+        break;
+      case 'Escape':
+        if (!searchInput.value) return;
+
+        // The search is cleared rather than closing the drawer or the panel
+        event.preventDefault();
+        event.stopPropagation();
+        searchInput.value = '';
+        this.filterValues();
+        break;
+    }
+  };
+
+  /**
+   * Keeps the search from updating the filters, which are updated on change
+   * @param {Event} event - The change event
+   */
+  #handleSearchChange = (event) => {
+    event.stopPropagation();
+  };
+
+  /**
+   * Moves the focus between the shown values with the arrow keys, and back to the search from the first one
+   * @param {KeyboardEvent} event - The keydown event
+   */
+  #handleValuesKeyDown = (event) => {
+    if (event.key !== 'ArrowDown' && event.key !== 'ArrowUp') return;
+
+    const values = this.#getFocusableValues();
+    const index = values.findIndex((value) => value === event.target);
+    if (index === -1) return;
+
+    event.preventDefault();
+
+    if (event.key === 'ArrowUp') {
+      (values[index - 1] ?? this.refs.searchInput)?.focus();
+    } else {
+      values[index + 1]?.focus();
+    }
+  };
 
   /**
    * Updates the selected facet summary
@@ -201,6 +740,27 @@ class FacetInputsComponent extends Component {
   }
 }
 
+/**
+ * Wraps the part of a text matching the search in a mark element
+ * @param {Element} element - The element showing the text
+ * @param {string} text - The text
+ * @param {string} searchValue - The normalized search value, empty to show the text as is
+ */
+function highlightMatch(element, text, searchValue) {
+  const startIndex = searchValue ? normalizeString(text).indexOf(searchValue) : -1;
+
+  if (startIndex === -1) {
+    if (element.textContent !== text || element.children.length > 0) element.textContent = text;
+    return;
+  }
+
+  const endIndex = startIndex + searchValue.length;
+  const mark = document.createElement('mark');
+
+  mark.textContent = text.slice(startIndex, endIndex);
+  element.replaceChildren(text.slice(0, startIndex), mark, text.slice(endIndex));
+}
+
 if (!customElements.get('facet-inputs-component')) {
   customElements.define('facet-inputs-component', FacetInputsComponent);
 }
@@ -209,6 +769,7 @@ if (!customElements.get('facet-inputs-component')) {
  * @typedef {Object} PriceFacetRefs
  * @property {HTMLInputElement} minInput - The minimum price input
  * @property {HTMLInputElement} maxInput - The maximum price input
+ * @property {HTMLElement | undefined} countPreview - The number of products of the typed price range
  */
 
 /**
@@ -224,6 +785,7 @@ class PriceFacetComponent extends Component {
   disconnectedCallback() {
     super.disconnectedCallback();
     this.removeEventListener('keydown', this.#onKeyDown);
+    this.previewResults.cancel();
   }
 
   /**
@@ -237,11 +799,29 @@ class PriceFacetComponent extends Component {
     if (!event.key.match(pattern)) event.preventDefault();
   };
 
+  /**
+   * Shows the number of products of the typed price range, before it is applied
+   */
+  previewResults = debounce(async () => {
+    const { countPreview } = this.refs;
+    const facetsForm = this.closest('facets-form-component');
+    if (!countPreview || !(facetsForm instanceof FacetsFormComponent)) return;
+
+    const count = await fetchProductsCount(facetsForm.sectionId, facetsForm.createURLParameters());
+    if (count === null) return;
+
+    const text = Theme.translations[`item_count_${count === 1 ? 'one' : 'other'}`] ?? '';
+    countPreview.textContent = text.replace('[count]', String(count));
+  }, 300);
+
   /**
    * Updates price filter and results
    */
   updatePriceFilterAndResults() {
-    const { minInput, maxInput } = this.refs;
+    const { minInput, maxInput, countPreview } = this.refs;
+
+    this.previewResults.cancel();
+    if (countPreview) countPreview.textContent = '';
 
     this.#adjustToValidValues(minInput);
     this.#adjustToValidValues(maxInput);
@@ -441,6 +1021,294 @@ if (!customElements.get('facet-remove-component')) {
   customElements.define('facet-remove-component', FacetRemoveComponent);
 }
 
+/**
+ * @typedef {Object} FilterPreset
+ * @property {string} id - The ID of the preset
+ * @property {string} name - The name the customer gave to the preset
+ * @property {string} parameters - The filter and sorting URL parameters of the preset
+ * @property {string | null} scope - The path of the collection the preset was saved for, null for every collection
+ */
+
+/**
+ * Stores the filter presets the customer saved in localStorage.
+ */
+class FilterPresets {
+  /** @static @constant {LocalStorageList<FilterPreset>} The presets in local storage */
+  static #storage = new LocalStorageList('filter-presets');
+  /** @static @constant {number} The maximum number of presets to store */
+  static #MAX_PRESETS = 20;
+
+  /**
+   * Retrieves the presets of a page, most recently saved first.
+   * @param {string} scope - The path of the collection or search page.
+   * @returns {FilterPreset[]} The presets saved for the page and for every collection.
+   */
+  static list(scope) {
+    return this.#storage.read().filter((preset) => preset.scope === null || preset.scope === scope);
+  }
+
+  /**
+   * Saves a preset, replacing the one with the same name and scope.
+   * @param {string} name - The name of the preset.
+   * @param {string} parameters - The filter and sorting URL parameters.
+   * @param {string | null} scope - The path of the collection, null for every collection.
+   * @returns {boolean} Whether the preset was saved.
+   */
+  static add(name, parameters, scope) {
+    const presets = this.#storage.read().filter((preset) => preset.name !== name || preset.scope !== scope);
+
+    presets.unshift({ id: Date.now().toString(36), name, parameters, scope });
+    return this.#storage.write(presets.slice(0, this.#MAX_PRESETS));
+  }
+
+  /**
+   * Removes a preset.
+   * @param {string} id - The ID of the preset.
+   */
+  static remove(id) {
+    this.#storage.write(this.#storage.read().filter((preset) => preset.id !== id));
+  }
+
+  /**
+   * Whether a storage event was caused by a change of the presets in another tab.
+   * @param {StorageEvent} event - The storage event.
+   * @returns {boolean}
+   */
+  static isStorageEvent(event) {
+    return this.#storage.isStorageEvent(event);
+  }
+}
+
+/**
+ * @typedef {Object} FilterPresetsRefs
+ * @property {HTMLUListElement} list - The list of presets.
+ * @property {HTMLTemplateElement} presetTemplate - The template of a preset in the list.
+ * @property {HTMLInputElement} nameInput - The input naming the new preset.
+ * @property {HTMLInputElement} globalInput - The checkbox saving the new preset for every collection.
+ * @property {HTMLButtonElement} saveButton - The button saving the new preset.
+ * @property {HTMLElement} status - The status announcing a saved preset or a copied link.
+ */
+
+/**
+ * Lists the filter presets of the customer, and saves the applied filters as a new one
+ * @extends {Component<FilterPresetsRefs>}
+ */
+class FilterPresetsComponent extends Component {
+  requiredRefs = ['list', 'presetTemplate', 'nameInput', 'globalInput', 'saveButton', 'status'];
+  #abortController = new AbortController();
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    const { signal } = this.#abortController;
+    document.addEventListener(ThemeEvents.FilterUpdate, this.#handleFilterUpdate, { signal });
+    window.addEventListener('storage', this.#handleStorage, { signal });
+
+    this.#render();
+  }
+
+  updatedCallback() {
+    super.updatedCallback();
+
+    this.#render();
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    this.#abortController.abort();
+  }
+
+  /**
+   * Saves the applied filters as a preset.
+   */
+  save() {
+    const { nameInput, globalInput, status } = this.refs;
+    const name = nameInput.value.trim();
+
+    if (!name) {
+      nameInput.focus();
+      return;
+    }
+
+    const parameters = getPresetParameters(new URLSearchParams(window.location.search));
+    if (!parameters) return;
+
+    if (!FilterPresets.add(name, parameters, globalInput.checked ? null : window.location.pathname)) return;
+
+    nameInput.value = '';
+    status.textContent = this.dataset.savedText ?? '';
+    this.#render();
+  }
+
+  /**
+   * Saves the preset when Enter is pressed in the name input, rather than submitting the facets form.
+   * @param {KeyboardEvent} event - The keydown event.
+   */
+  handleKeyDown(event) {
+    if (event.key !== 'Enter') return;
+
+    event.preventDefault();
+    this.save();
+  }
+
+  /**
+   * Applies the filters of a preset.
+   * @param {Event} event - The click event.
+   */
+  applyPreset(event) {
+    const preset = this.#getPreset(event);
+    const facetsForm = this.closest('facets-form-component');
+    if (!preset || !(facetsForm instanceof FacetsFormComponent)) return;
+
+    facetsForm.updateFiltersByURL(this.#getPresetURL(preset));
+  }
+
+  /**
+   * Shares the link to the results of a preset, or copies it when sharing isn't supported.
+   * @param {Event} event - The click event.
+   */
+  async sharePreset(event) {
+    const preset = this.#getPreset(event);
+    if (!preset) return;
+
+    const url = new URL(this.#getPresetURL(preset), window.location.origin).toString();
+
+    try {
+      if (navigator.share) {
+        await navigator.share({ title: preset.name, url });
+      } else {
+        await navigator.clipboard.writeText(url);
+        this.refs.status.textContent = this.dataset.linkCopiedText ?? '';
+      }
+    } catch (_) {
+      // Sharing was cancelled
+    }
+  }
+
+  /**
+   * Removes a preset.
+   * @param {Event} event - The click event.
+   */
+  removePreset(event) {
+    const preset = this.#getPreset(event);
+    if (!preset) return;
+
+    FilterPresets.remove(preset.id);
+    this.refs.status.textContent = '';
+    this.#render();
+  }
+
+  /**
+   * @param {Event} event - The event of a button of a preset.
+   * @returns {FilterPreset | undefined} The preset of the button.
+   */
+  #getPreset(event) {
+    if (!(event.target instanceof Element)) return;
+
+    const { presetId } = /** @type {HTMLElement | null} */ (event.target.closest('[data-preset-id]'))?.dataset ?? {};
+
+    return FilterPresets.list(window.location.pathname).find((preset) => preset.id === presetId);
+  }
+
+  /**
+   * @param {FilterPreset} preset - The preset.
+   * @returns {string} The URL of the results filtered by the preset, keeping the search terms.
+   */
+  #getPresetURL(preset) {
+    const url = new URL(window.location.href);
+
+    for (const key of [...url.searchParams.keys()]) {
+      if (isPresetParameter(key) || key === 'page') url.searchParams.delete(key);
+    }
+
+    for (const [key, value] of new URLSearchParams(preset.parameters)) {
+      url.searchParams.append(key, value);
+    }
+
+    return `${url.pathname}${url.search}`;
+  }
+
+  /**
+   * Shows the presets of the page, and whether the applied filters can be saved.
+   * @param {URLSearchParams} [urlParameters] - The applied URL parameters, the ones of the current URL by default.
+   */
+  #render(urlParameters = new URLSearchParams(window.location.search)) {
+    const { list, presetTemplate, saveButton } = this.refs;
+    const presets = FilterPresets.list(window.location.pathname);
+    const appliedParameters = getPresetParameters(urlParameters);
+    const removeLabel = this.dataset.removeLabel ?? '';
+    const shareLabel = this.dataset.shareLabel ?? '';
+
+    const items = presets.map((preset) => {
+      const fragment = /** @type {DocumentFragment} */ (presetTemplate.content.cloneNode(true));
+      const item = fragment.querySelector('li');
+      const applyButton = fragment.querySelector('.filter-presets__apply');
+
+      if (item) item.dataset.presetId = preset.id;
+      if (applyButton) {
+        applyButton.textContent = preset.name;
+        applyButton.setAttribute('aria-pressed', String(preset.parameters === appliedParameters));
+      }
+
+      fragment
+        .querySelector('.filter-presets__share')
+        ?.setAttribute('aria-label', shareLabel.replace('[name]', preset.name));
+      fragment
+        .querySelector('.filter-presets__remove')
+        ?.setAttribute('aria-label', removeLabel.replace('[name]', preset.name));
+
+      return fragment;
+    });
+
+    list.replaceChildren(...items);
+    list.hidden = presets.length === 0;
+    saveButton.disabled = !appliedParameters;
+  }
+
+  /**
+   * @param {FilterUpdateEvent} event - The filter update event.
+   */
+  #handleFilterUpdate = (event) => {
+    this.refs.status.textContent = '';
+    this.#render(event.detail.queryParams);
+  };
+
+  /**
+   * @param {StorageEvent} event - The storage event.
+   */
+  #handleStorage = (event) => {
+    if (FilterPresets.isStorageEvent(event)) this.#render();
+  };
+}
+
+/**
+ * @param {string} key - The URL parameter.
+ * @returns {boolean} Whether the parameter is saved with the presets.
+ */
+function isPresetParameter(key) {
+  return key.startsWith('filter.') || key === 'sort_by';
+}
+
+/**
+ * @param {URLSearchParams} urlParameters - The URL parameters of the results.
+ * @returns {string} The sorted filter and sorting parameters, empty when no filter is applied.
+ */
+function getPresetParameters(urlParameters) {
+  const parameters = new URLSearchParams(
+    [...urlParameters].filter(([key, value]) => isPresetParameter(key) && value !== '')
+  );
+  if (![...parameters.keys()].some((key) => key.startsWith('filter.'))) return '';
+
+  parameters.sort();
+
+  return parameters.toString();
+}
+
+if (!customElements.get('filter-presets-component')) {
+  customElements.define('filter-presets-component', FilterPresetsComponent);
+}
+
 /**
  * Handles sorting filter functionality
  *
@@ -13,6 +13,10 @@ declare global {
     loadFeatures(features: ShopifyFeature[], callback?: LoadCallback): void;
     ModelViewerUI?: ModelViewer;
     visualPreviewMode: boolean;
+    analytics?: {
+      publish(name: string, payload: unknown): void;
+    };
+    customerPrivacy?: CustomerPrivacy;
   }
 
   interface Theme {
@@ -20,6 +24,7 @@ declare global {
     routes: {
       cart_add_url: string;
       cart_change_url: string;
+      cart_clear_url: string;
       cart_update_url: string;
       cart_url: string;
       predictive_search_url: string;
@@ -30,6 +35,11 @@ declare global {
         schedule: (task: () => void) => void;
       };
     };
+    settings: {
+      recently_viewed_limit: number;
+      recently_viewed_expiry_days: number;
+      compare_limit: number;
+    };
     template: {
       name: string;
     };
@@ -37,6 +47,7 @@ declare global {
 
   interface Window {
     Shopify: Shopify;
+    dataLayer?: unknown[];
   }
 
   declare const Shopify: Shopify;
@@ -51,6 +62,14 @@ declare global {
     onLoad?: LoadCallback;
   }
 
+  // Refer to https://shopify.dev/docs/api/customer-privacy
+  interface CustomerPrivacy {
+    analyticsProcessingAllowed(): boolean;
+    currentVisitorConsent?(): {
+      analytics: 'yes' | 'no' | '';
+    };
+  }
+
   // Refer to https://github.com/Shopify/model-viewer-ui/blob/main/src/js/model-viewer-ui.js
   interface ModelViewer {
     new (
@@ -1,5 +1,12 @@
 import { Component } from '@theme/component';
-import { ThemeEvents, VariantUpdateEvent, ZoomMediaSelectedEvent } from '@theme/events';
+import {
+  SlideshowSelectEvent,
+  ThemeEvents,
+  VariantResolvedEvent,
+  VariantUpdateEvent,
+  ZoomMediaSelectedEvent,
+} from '@theme/events';
+import { getProductState, isMainProduct, updateProductState } from '@theme/product-state';
 
 /**
  * A custom element that renders a media gallery.
@@ -19,9 +26,17 @@ export class MediaGallery extends Component {
     const target = this.closest('.shopify-section, dialog');
 
     target?.addEventListener(ThemeEvents.variantUpdate, this.#handleVariantUpdate, { signal });
+    target?.addEventListener(ThemeEvents.variantResolved, this.#handleVariantResolved, { signal });
     this.refs.zoomDialogComponent?.addEventListener(ThemeEvents.zoomMediaSelected, this.#handleZoomMediaSelected, {
       signal,
     });
+
+    // Keep the open media in the URL of the product page
+    if (isMainProduct(this)) {
+      this.slideshow?.addEventListener(SlideshowSelectEvent.eventName, this.#handleSlideshowSelect, { signal });
+      window.addEventListener('popstate', this.#restoreMedia, { signal });
+      this.#restoreMedia();
+    }
   }
 
   #controller = new AbortController();
@@ -48,12 +63,55 @@ export class MediaGallery extends Component {
     this.replaceWith(newMediaGallery);
   };
 
+  /**
+   * Shows the featured media of the resolved variant until the media gallery is replaced.
+   *
+   * @param {VariantResolvedEvent} event - The variant resolved event.
+   */
+  #handleVariantResolved = (event) => {
+    const mediaId = event.detail.resource.featured_media?.id;
+    const { slideshow } = this;
+
+    if (!mediaId || !slideshow?.slides) return;
+
+    const slide = slideshow.slides.find((slide) => slide.querySelector(`[data-media-id="${mediaId}"]`));
+    if (slide) slideshow.select(slideshow.slides.indexOf(slide));
+  };
+
   /**
    * Handles the 'zoom-media:selected' event.
    * @param {ZoomMediaSelectedEvent} event - The zoom-media:selected event.
    */
   #handleZoomMediaSelected = async (event) => {
     this.slideshow?.select(event.detail.index, undefined, { animate: false });
+
+    if (isMainProduct(this)) updateProductState({ media: event.detail.index });
+  };
+
+  /**
+   * Writes the media picked by the customer to the URL.
+   * @param {SlideshowSelectEvent} event - The slideshow select event.
+   */
+  #handleSlideshowSelect = (event) => {
+    // Nested slideshows, like the ones of 3D models, don't change the open media
+    if (event.target !== this.slideshow || !event.detail.userInitiated) return;
+
+    updateProductState({ media: event.detail.index });
+  };
+
+  /**
+   * Opens the media of the URL, or the first one when it has none.
+   */
+  #restoreMedia = async () => {
+    const { slideshow } = this;
+    if (!slideshow) return;
+
+    const index = getProductState().media ?? 0;
+
+    await customElements.whenDefined('slideshow-component');
+    if (index >= (slideshow.slides?.length ?? 0)) return;
+
+    slideshow.select(index, undefined, { animate: false });
   };
 
   /**
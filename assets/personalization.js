@@ -0,0 +1,246 @@
+/**
+ * @typedef {'text' | 'select' | 'checkbox' | 'number' | 'date' | 'color' | 'file_reference'} PersonalizationFieldType
+ */
+
+/**
+ * @typedef {object} PersonalizationField
+ * @property {string} name - The name of the line item property
+ * @property {PersonalizationFieldType} type - The type of the field
+ * @property {string} label - The label of the field
+ * @property {boolean} [required] - Whether the field must be filled
+ * @property {string[]} [options] - The choices of a select field
+ * @property {string} [checkedValue] - The value of a checked checkbox
+ * @property {string} [min] - The minimum value of a number field
+ * @property {string} [max] - The maximum value of a number field
+ * @property {number} [maxLength] - The maximum number of characters of a text field
+ * @property {string} [message] - The message shown when the value isn't valid
+ * @property {string} [conditionName] - The property the field is shown for
+ * @property {string} [conditionValue] - The value of the property the field is shown for, any value when empty
+ */
+
+/**
+ * The hidden line item property holding the id of the personalization block, so the fields can be edited from the cart.
+ * Properties starting with an underscore aren't shown in the cart or at checkout.
+ */
+export const PERSONALIZATION_PROPERTY = '_personalization';
+
+/** The selector of the elements wrapping a personalization field */
+export const PERSONALIZATION_FIELD_SELECTOR = '[data-personalization-field]';
+
+/** The attribute holding the id of a personalization block */
+export const PERSONALIZATION_BLOCK_ATTRIBUTE = 'data-personalization-block';
+
+/**
+ * Gets the input of a personalization field.
+ * @param {HTMLElement} field - The element wrapping the field
+ * @returns {HTMLInputElement | HTMLSelectElement | HTMLTextAreaElement | null}
+ */
+export function getFieldInput(field) {
+  return field.querySelector('input, select, textarea');
+}
+
+/**
+ * Reads the definition of a personalization field from its markup.
+ * @param {HTMLElement} field - The element wrapping the field
+ * @returns {PersonalizationField | null} The definition, or null if the field has no input
+ */
+export function readField(field) {
+  const input = getFieldInput(field);
+  const { name, type, label, message, conditionName, conditionValue } = field.dataset;
+  if (!input || !name || !type) return null;
+
+  /** @type {PersonalizationField} */
+  const definition = { name, type: /** @type {PersonalizationFieldType} */ (type), label: label ?? name };
+
+  if (input.required) definition.required = true;
+  if (message) definition.message = message;
+  if (conditionName) definition.conditionName = conditionName;
+  if (conditionValue) definition.conditionValue = conditionValue;
+
+  if (input instanceof HTMLSelectElement) {
+    definition.options = Array.from(input.options, (option) => option.value).filter(Boolean);
+  } else if (input instanceof HTMLInputElement && input.type === 'checkbox') {
+    definition.checkedValue = input.value;
+  } else if (input instanceof HTMLInputElement && input.type === 'number') {
+    if (input.min) definition.min = input.min;
+    if (input.max) definition.max = input.max;
+  } else if (input.maxLength > 0) {
+    definition.maxLength = input.maxLength;
+  }
+
+  return definition;
+}
+
+/**
+ * Reads the definitions of the fields of a personalization block, like the block of a product page.
+ * @param {ParentNode} root - The document or element containing the block
+ * @param {string} blockId - The id of the personalization block
+ * @returns {PersonalizationField[]} The definitions, in order
+ */
+export function readBlockFields(root, blockId) {
+  const block = root.querySelector(`[${PERSONALIZATION_BLOCK_ATTRIBUTE}="${CSS.escape(blockId)}"]`);
+  const fields = Array.from(block?.querySelectorAll(PERSONALIZATION_FIELD_SELECTOR) ?? []);
+
+  return fields
+    .filter((field) => field instanceof HTMLElement)
+    .map(readField)
+    .filter((definition) => definition !== null);
+}
+
+/**
+ * Gets the value a personalization field submits.
+ * @param {HTMLElement} field - The element wrapping the field
+ * @returns {string} The value, empty if nothing is submitted
+ */
+export function getFieldValue(field) {
+  const input = getFieldInput(field);
+
+  if (!input || input.disabled) return '';
+  if (input instanceof HTMLInputElement && input.type === 'checkbox') return input.checked ? input.value : '';
+
+  return input.value;
+}
+
+/**
+ * Shows the fields whose condition is met and hides the other ones.
+ * Hidden fields are disabled, so they're neither validated nor submitted.
+ * @param {HTMLElement[]} fields - The elements wrapping the fields, in order
+ * @param {Record<string, string>} [initialValues] - The values of the properties that have no field, like the other properties of a cart line
+ */
+export function updateFieldsVisibility(fields, initialValues = {}) {
+  /** @type {Record<string, string>} */
+  const values = { ...initialValues };
+
+  // Fields only depend on the fields before them, so a hidden field also hides the fields depending on it
+  for (const field of fields) {
+    const { name, conditionName, conditionValue } = field.dataset;
+    const input = getFieldInput(field);
+    const conditionalValue = conditionName ? values[conditionName] ?? '' : '';
+    const visible = !conditionName || (conditionValue ? conditionalValue === conditionValue : conditionalValue !== '');
+
+    field.classList.toggle('hidden', !visible);
+    if (input) input.disabled = !visible;
+    if (!visible) hideFieldError(field);
+
+    if (name) values[name] = getFieldValue(field);
+  }
+}
+
+/**
+ * Shows the validation message of a field, or hides it if the value is valid.
+ * @param {HTMLElement} field - The element wrapping the field
+ */
+export function showFieldError(field) {
+  const input = getFieldInput(field);
+  const error = field.querySelector('.personalization-field__error');
+  if (!input || !error) return;
+
+  if (input.validity.valid) {
+    hideFieldError(field);
+    return;
+  }
+
+  error.textContent = field.dataset.message || input.validationMessage;
+  error.classList.remove('hidden');
+  input.setAttribute('aria-invalid', 'true');
+}
+
+/**
+ * @param {HTMLElement} field - The element wrapping the field
+ */
+function hideFieldError(field) {
+  field.querySelector('.personalization-field__error')?.classList.add('hidden');
+  getFieldInput(field)?.removeAttribute('aria-invalid');
+}
+
+/**
+ * Checks the fields and shows the validation message of the invalid ones.
+ * @param {HTMLElement[]} fields - The elements wrapping the fields
+ * @returns {boolean} Whether every visible field is valid
+ */
+export function validateFields(fields) {
+  let firstInvalidInput = null;
+
+  for (const field of fields) {
+    const input = getFieldInput(field);
+    if (!input || input.disabled) continue;
+
+    showFieldError(field);
+    if (!input.validity.valid) firstInvalidInput ??= input;
+  }
+
+  firstInvalidInput?.focus();
+
+  return !firstInvalidInput;
+}
+
+/**
+ * Creates the markup of a personalization field, like the personalization field block renders it.
+ * @param {PersonalizationField} definition - The definition of the field
+ * @param {string} value - The current value of the field
+ * @param {string} id - The id of the input
+ * @param {string} [selectPlaceholder] - The label of the empty choice of a select field
+ * @returns {HTMLElement} The element wrapping the field
+ */
+export function createField(definition, value, id, selectPlaceholder = '') {
+  const field = document.createElement('div');
+  field.className = 'personalization-field';
+  field.dataset.personalizationField = '';
+  field.dataset.name = definition.name;
+  field.dataset.type = definition.type;
+  field.dataset.label = definition.label;
+  if (definition.message) field.dataset.message = definition.message;
+  if (definition.conditionName) field.dataset.conditionName = definition.conditionName;
+  if (definition.conditionValue) field.dataset.conditionValue = definition.conditionValue;
+
+  const label = document.createElement('label');
+  label.className = 'personalization-field__label';
+  label.htmlFor = id;
+  label.textContent = definition.label;
+
+  /** @type {HTMLInputElement | HTMLSelectElement} */
+  let input;
+
+  if (definition.type === 'select') {
+    input = document.createElement('select');
+    input.append(new Option(selectPlaceholder, ''));
+
+    for (const option of definition.options ?? []) {
+      input.append(new Option(option, option, false, option === value));
+    }
+  } else {
+    input = document.createElement('input');
+    // A file reference is the link to a file the customer uploaded, so it's submitted as text like the other fields
+    input.type = definition.type === 'file_reference' ? 'url' : definition.type;
+
+    if (definition.type === 'checkbox') {
+      input.value = definition.checkedValue ?? '';
+      input.checked = value !== '' && value === input.value;
+    } else {
+      input.value = value;
+    }
+
+    if (definition.min) input.min = definition.min;
+    if (definition.max) input.max = definition.max;
+    if (definition.type === 'number') input.step = 'any';
+    if (definition.maxLength) input.maxLength = definition.maxLength;
+  }
+
+  input.id = id;
+  input.required = Boolean(definition.required);
+  input.className = definition.type === 'checkbox' ? 'personalization-field__checkbox' : 'field__input';
+
+  const error = document.createElement('p');
+  error.className = 'personalization-field__error hidden';
+  error.id = `${id}-error`;
+  input.setAttribute('aria-describedby', error.id);
+
+  if (definition.type === 'checkbox') {
+    label.prepend(input);
+    field.append(label, error);
+  } else {
+    field.append(label, input, error);
+  }
+
+  return field;
+}
@@ -1,5 +1,5 @@
 import { Component } from '@theme/component';
-import { ThemeEvents } from '@theme/events';
+import { SellingPlanUpdateEvent, ThemeEvents } from '@theme/events';
 
 /**
  * Displays dynamic per-item pricing based on quantity and volume pricing tiers.
@@ -17,6 +17,8 @@ import { ThemeEvents } from '@theme/events';
 class PricePerItemComponent extends Component {
   /** @type {PriceBreak[]} */
   #priceBreaks = [];
+  /** @type {import('@theme/events').SellingPlanPrices | null} The selected selling plan, if a selling plan picker is used */
+  #sellingPlan = null;
   #abortController = new AbortController();
 
   connectedCallback() {
@@ -66,6 +68,7 @@ class PricePerItemComponent extends Component {
     // Listen on document to catch all events (more reliable than form-only)
     document.addEventListener(ThemeEvents.quantitySelectorUpdate, this.#handleQuantityUpdate, { signal });
     document.addEventListener(ThemeEvents.cartUpdate, this.#handleCartUpdate, { signal });
+    document.addEventListener(ThemeEvents.sellingPlanUpdate, this.#handleSellingPlanUpdate, { signal });
   }
 
   /**
@@ -80,6 +83,18 @@ class PricePerItemComponent extends Component {
     this.#updatePriceDisplay();
   };
 
+  /**
+   * Handles selling plan updates for the product of the form
+   * @param {SellingPlanUpdateEvent} event
+   */
+  #handleSellingPlanUpdate = (event) => {
+    const form = this.closest('product-form-component');
+    if (!(form instanceof HTMLElement) || event.detail.data.productId !== form.dataset.productId) return;
+
+    this.#sellingPlan = event.detail.resource;
+    this.#updatePriceDisplay();
+  };
+
   /**
    * Handles cart updates by refreshing display
    */
@@ -110,6 +125,13 @@ class PricePerItemComponent extends Component {
   updatePriceDisplay() {
     if (!this.#priceBreaks.length || !this.refs.pricePerItemText) return;
 
+    // Selling plans have a single price, whatever the quantity
+    const sellingPlanPrice = this.#sellingPlan?.id && this.#sellingPlan.prices[this.dataset.variantId ?? ''];
+    if (sellingPlanPrice) {
+      this.refs.pricePerItemText.innerHTML = `${this.dataset.atText} ${sellingPlanPrice}/${this.dataset.eachText}`;
+      return;
+    }
+
     const quantity = this.#getCurrentQuantity();
 
     // Price breaks are sorted descending, find first tier that quantity qualifies for
@@ -0,0 +1,174 @@
+import { Component } from '@theme/component';
+import { cart, CartRequestError } from '@theme/cart';
+import { ThemeEvents } from '@theme/events';
+import { formatCents } from '@theme/utilities';
+
+/**
+ * @typedef {object} BundleItem
+ * @property {HTMLElement} element - The element of the item
+ * @property {HTMLInputElement | null} checkbox - The checkbox selecting the item
+ * @property {HTMLInputElement | HTMLSelectElement | null} variant - The input holding the selected variant
+ */
+
+/**
+ * A custom element that adds a set of products to the cart together, like a kit.
+ *
+ * @typedef {object} Refs
+ * @property {HTMLElement[]} items - The products of the bundle.
+ * @property {HTMLElement} totalPrice - The combined price of the selected products.
+ * @property {HTMLButtonElement} addButton - The button adding the selected products to the cart.
+ * @property {HTMLElement} error - The message shown when the products can't be added.
+ * @property {HTMLTemplateElement} moneyFormat - The money format of the prices.
+ *
+ * @extends {Component<Refs>}
+ */
+class ProductBundleComponent extends Component {
+  requiredRefs = ['items', 'totalPrice', 'addButton', 'error', 'moneyFormat'];
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    document.addEventListener(ThemeEvents.variantUpdate, this.#handleVariantChange);
+    document.addEventListener(ThemeEvents.variantResolved, this.#handleVariantChange);
+
+    this.update();
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    document.removeEventListener(ThemeEvents.variantUpdate, this.#handleVariantChange);
+    document.removeEventListener(ThemeEvents.variantResolved, this.#handleVariantChange);
+  }
+
+  /**
+   * Updates the prices for the selected products and variants.
+   */
+  update() {
+    const { totalPrice, addButton, error } = this.refs;
+    let total = 0;
+
+    for (const { element, variant } of this.#items) {
+      const price = this.#getPrice(variant);
+      const priceElement = element.querySelector('[data-bundle-price]');
+
+      if (priceElement && price !== null) priceElement.textContent = this.#formatPrice(price);
+    }
+
+    const selectedItems = this.#selectedItems;
+
+    for (const { variant } of selectedItems) {
+      total += this.#getPrice(variant) ?? 0;
+    }
+
+    totalPrice.textContent = this.#formatPrice(total);
+    addButton.disabled = selectedItems.length === 0;
+    error.classList.add('hidden');
+  }
+
+  /**
+   * Adds the selected variants to the cart in a single request.
+   */
+  async addToCart() {
+    const { addButton, error } = this.refs;
+    const items = this.#selectedItems.map(({ variant }) => ({ id: variant?.value ?? '', quantity: 1 }));
+
+    if (items.length === 0) return;
+
+    addButton.disabled = true;
+    error.classList.add('hidden');
+
+    try {
+      await cart.add(
+        { items },
+        {
+          target: this,
+          sourceId: this.id,
+          eventData: {
+            source: 'product-bundle-component',
+            itemCount: items.length,
+            productId: this.dataset.productId,
+          },
+        }
+      );
+    } catch (requestError) {
+      if (requestError instanceof CartRequestError) {
+        error.textContent = requestError.message;
+      } else {
+        console.error(requestError);
+        error.textContent = Theme.translations.add_to_cart_error ?? '';
+      }
+
+      error.classList.remove('hidden');
+    } finally {
+      addButton.disabled = false;
+    }
+  }
+
+  /**
+   * @returns {BundleItem[]}
+   */
+  get #items() {
+    return this.refs.items.map((element) => ({
+      element,
+      checkbox: element.querySelector('input[type="checkbox"]'),
+      variant: element.querySelector('[data-bundle-variant]'),
+    }));
+  }
+
+  /**
+   * The items that are checked and have an available variant selected.
+   * @returns {BundleItem[]}
+   */
+  get #selectedItems() {
+    return this.#items.filter(({ checkbox, variant }) => {
+      if (!checkbox?.checked || !variant?.value) return false;
+
+      return !(variant instanceof HTMLSelectElement) || !variant.selectedOptions[0]?.disabled;
+    });
+  }
+
+  /**
+   * @param {HTMLInputElement | HTMLSelectElement | null} variant - The input holding the selected variant
+   * @returns {number | null} The price of the selected variant, in cents
+   */
+  #getPrice(variant) {
+    const element = variant instanceof HTMLSelectElement ? variant.selectedOptions[0] : variant;
+    const price = Number.parseInt(element?.dataset.price ?? '');
+
+    return Number.isNaN(price) ? null : price;
+  }
+
+  /**
+   * @param {number} cents - The price, in cents
+   * @returns {string} The price formatted like the `money` filter of the items
+   */
+  #formatPrice(cents) {
+    const moneyFormat = this.refs.moneyFormat.content.textContent || '{{amount}}';
+
+    return formatCents(cents, moneyFormat, this.dataset.currency ?? '');
+  }
+
+  /**
+   * Selects the variant picked on the product page for the product of the page.
+   * @param {Event & { detail?: { resource?: { id: number | string } | null, data?: { productId?: string } } }} event - The variant event
+   */
+  #handleVariantChange = (event) => {
+    const variantId = event.detail?.resource?.id;
+    const productId = event.detail?.data?.productId;
+    if (!variantId || !productId || productId !== this.dataset.productId) return;
+
+    const item = this.#items.find(({ element }) => element.dataset.productId === productId);
+    if (!(item?.variant instanceof HTMLSelectElement)) return;
+
+    const option = Array.from(item.variant.options).find((option) => option.value === String(variantId));
+    if (!option || option.selected) return;
+
+    option.selected = true;
+    this.update();
+  };
+}
+
+if (!customElements.get('product-bundle-component')) {
+  customElements.define('product-bundle-component', ProductBundleComponent);
+}
@@ -491,6 +491,7 @@ class SwatchesVariantPickerComponent extends VariantPicker {
 
       // Update the selected option visually
       this.updateSelectedOption(clickedSwatch);
+      this.updateAvailability();
 
       // Build request URL with the first available variant
       const productUrl = this.dataset.productUrl?.split('?')[0];
@@ -0,0 +1,114 @@
+import { CompareUpdateEvent } from '@theme/events';
+import { LocalStorageList } from '@theme/utilities';
+
+/**
+ * @typedef {object} CompareProduct
+ * @property {string} id - The ID of the product
+ * @property {string} title - The title of the product
+ * @property {string} url - The URL of the product
+ * @property {string} [image] - The URL of the featured image of the product
+ */
+
+/**
+ * Stores the products the customer selected for comparison in localStorage, so they're kept across pages.
+ */
+export class ProductCompare {
+  /** @static @constant {LocalStorageList<CompareProduct>} The compared products in local storage */
+  static #storage = new LocalStorageList('productCompare');
+  /** @static @constant {number} The maximum number of products to compare when the theme setting is missing */
+  static #DEFAULT_MAX_PRODUCTS = 4;
+
+  /**
+   * The maximum number of products that can be compared.
+   * @returns {number}
+   */
+  static get limit() {
+    return Theme.settings.compare_limit || this.#DEFAULT_MAX_PRODUCTS;
+  }
+
+  /**
+   * Adds a product to the comparison.
+   * @param {CompareProduct} product - The product to add.
+   * @returns {boolean} Whether the product was added, false when the comparison is full.
+   */
+  static add(product) {
+    const products = this.list();
+
+    if (products.some(({ id }) => id === product.id)) return true;
+    if (products.length >= this.limit) return false;
+
+    this.#setProducts([...products, product], product.id, true);
+
+    return true;
+  }
+
+  /**
+   * Removes a product from the comparison.
+   * @param {string} productId - The ID of the product to remove.
+   */
+  static remove(productId) {
+    this.#setProducts(
+      this.list().filter(({ id }) => id !== productId),
+      productId,
+      false
+    );
+  }
+
+  /**
+   * Removes all the products from the comparison.
+   */
+  static clear() {
+    this.#setProducts([], null, false);
+  }
+
+  /**
+   * Checks if a product is in the comparison.
+   * @param {string} productId - The ID of the product.
+   * @returns {boolean}
+   */
+  static has(productId) {
+    return this.list().some(({ id }) => id === productId);
+  }
+
+  /**
+   * Checks if no more products can be added to the comparison.
+   * @returns {boolean}
+   */
+  static isFull() {
+    return this.list().length >= this.limit;
+  }
+
+  /**
+   * Retrieves the products in the comparison, in the order they were added.
+   * @returns {CompareProduct[]} The products.
+   */
+  static list() {
+    return this.#storage.read();
+  }
+
+  /**
+   * Whether a storage event was caused by a change of the comparison in another tab.
+   * @param {StorageEvent} event - The storage event.
+   * @returns {boolean}
+   */
+  static isStorageEvent(event) {
+    return this.#storage.isStorageEvent(event);
+  }
+
+  /**
+   * @param {CompareProduct[]} products - The products to store.
+   * @param {string | null} productId - The ID of the product that was added or removed.
+   * @param {boolean} added - Whether the product was added.
+   */
+  static #setProducts(products, productId, added) {
+    if (!this.#storage.write(products)) return;
+
+    document.dispatchEvent(
+      new CompareUpdateEvent(
+        products.map(({ id }) => id),
+        productId,
+        added
+      )
+    );
+  }
+}
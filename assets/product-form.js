@@ -1,8 +1,17 @@
 import { Component } from '@theme/component';
-import { fetchConfig, preloadImage, onAnimationEnd, yieldToMainThread } from '@theme/utilities';
-import { ThemeEvents, CartAddEvent, CartErrorEvent, CartUpdateEvent, VariantUpdateEvent } from '@theme/events';
+import { preloadImage, onAnimationEnd, yieldToMainThread } from '@theme/utilities';
+import {
+  ThemeEvents,
+  CartAddEvent,
+  CartUpdateEvent,
+  QuantitySelectorUpdateEvent,
+  VariantResolvedEvent,
+  VariantUpdateEvent,
+} from '@theme/events';
+import { cart, CartOfflineError, CartRequestError } from '@theme/cart';
 import { cartPerformance } from '@theme/performance';
 import { morph } from '@theme/morph';
+import { getProductState, isMainProduct, updateProductState } from '@theme/product-state';
 
 // Error message display duration - gives users time to read the message
 const ERROR_MESSAGE_DISPLAY_DURATION = 10000;
@@ -185,6 +194,7 @@ if (!customElements.get('add-to-cart-component')) {
  * @property {HTMLElement | undefined} quantitySelectorWrapper - The quantity selector wrapper element.
  * @property {HTMLElement | undefined} quantityLabel - The quantity label element.
  * @property {HTMLElement | undefined} pricePerItem - The price per item component.
+ * @property {HTMLElement | undefined} preorder - The pre-order acknowledgement and line properties.
  *
  * @extends Component<ProductFormRefs>
  */
@@ -202,9 +212,17 @@ class ProductFormComponent extends Component {
     const target = this.closest('.shopify-section, dialog, product-card');
     target?.addEventListener(ThemeEvents.variantUpdate, this.#onVariantUpdate, { signal });
     target?.addEventListener(ThemeEvents.variantSelected, this.#onVariantSelected, { signal });
+    target?.addEventListener(ThemeEvents.variantResolved, this.#onVariantResolved, { signal });
 
     // Listen for cart updates to sync data-cart-quantity
     document.addEventListener(ThemeEvents.cartUpdate, this.#onCartUpdate, { signal });
+
+    // Keep the quantity in the URL of the product page
+    if (isMainProduct(this)) {
+      this.addEventListener(ThemeEvents.quantitySelectorUpdate, this.#onQuantitySelectorUpdate, { signal });
+      window.addEventListener('popstate', this.#restoreQuantity, { signal });
+      this.#restoreQuantity();
+    }
   }
 
   disconnectedCallback() {
@@ -238,18 +256,15 @@ class ProductFormComponent extends Component {
   }
 
   /**
-   * Fetches cart and updates quantity selector for current variant
+   * Loads the cart and updates quantity selector for current variant
    * @returns {Promise<number>} The cart quantity for the current variant
    */
-  async #fetchAndUpdateCartQuantity() {
+  async #loadAndUpdateCartQuantity() {
     const variantIdInput = /** @type {HTMLInputElement | null} */ (this.querySelector('input[name="id"]'));
     if (!variantIdInput?.value) return 0;
 
     try {
-      const response = await fetch('/cart.js');
-      const cart = await response.json();
-
-      return this.#updateCartQuantityFromData(cart);
+      return this.#updateCartQuantityFromData(await cart.load());
     } catch (error) {
       console.error('Failed to fetch cart quantity:', error);
       return 0;
@@ -264,14 +279,42 @@ class ProductFormComponent extends Component {
     // Skip if this event came from this component
     if (event.detail?.sourceId === this.id || event.detail?.data?.source === 'product-form-component') return;
 
-    const cart = /** @type {Cart} */ (event.detail?.resource);
-    if (cart?.items) {
-      this.#updateCartQuantityFromData(cart);
+    const updatedCart = /** @type {Cart} */ (event.detail?.resource);
+    if (updatedCart?.items) {
+      this.#updateCartQuantityFromData(updatedCart);
     } else {
-      await this.#fetchAndUpdateCartQuantity();
+      await this.#loadAndUpdateCartQuantity();
     }
   };
 
+  /**
+   * Writes the selected quantity to the URL.
+   * @param {QuantitySelectorUpdateEvent} event
+   */
+  #onQuantitySelectorUpdate = (event) => {
+    const { quantity } = event.detail;
+    const isDefault = String(quantity) === this.dataset.quantityDefault;
+
+    updateProductState({ quantity: isDefault || Number.isNaN(quantity) ? null : quantity });
+  };
+
+  /**
+   * Selects the quantity of the URL, or the default quantity when it has none.
+   */
+  #restoreQuantity = () => {
+    const { quantitySelector } = this.refs;
+    if (!quantitySelector?.setValue) return;
+
+    const quantity = String(getProductState().quantity ?? this.dataset.quantityDefault ?? 1);
+    if (quantitySelector.getValue() === quantity) return;
+
+    const { quantityInput } = quantitySelector.refs;
+    quantitySelector.setValue(quantity);
+    // Keeps the quantity within the rules of the variant
+    quantitySelector.updateConstraints(quantityInput.min, quantityInput.max || null, quantityInput.step);
+    quantitySelector.onQuantityChange();
+  };
+
   /**
    * Handles the submit event for the product form.
    *
@@ -345,105 +388,71 @@ class ProductFormComponent extends Component {
 
     const formData = new FormData(form);
 
-    const cartItemsComponents = document.querySelectorAll('cart-items-component');
-    let cartItemComponentsSectionIds = [];
-    cartItemsComponents.forEach((item) => {
-      if (item instanceof HTMLElement && item.dataset.sectionId) {
-        cartItemComponentsSectionIds.push(item.dataset.sectionId);
-      }
-      formData.append('sections', cartItemComponentsSectionIds.join(','));
-    });
-
-    const fetchCfg = fetchConfig('javascript', { body: formData });
-
-    fetch(Theme.routes.cart_add_url, {
-      ...fetchCfg,
-      headers: {
-        ...fetchCfg.headers,
-        Accept: 'text/html',
-      },
-    })
-      .then((response) => response.json())
-      .then(async (response) => {
-        if (response.status) {
-          this.dispatchEvent(
-            new CartErrorEvent(form.getAttribute('id') || '', response.message, response.description, response.errors)
-          );
-
-          if (!addToCartTextError) return;
-          addToCartTextError.classList.remove('hidden');
-
-          // Reuse the text node if the user is spam-clicking
-          const textNode = addToCartTextError.childNodes[2];
-          if (textNode) {
-            textNode.textContent = response.message;
-          } else {
-            const newTextNode = document.createTextNode(response.message);
-            addToCartTextError.appendChild(newTextNode);
-          }
+    cart
+      .add(formData, {
+        target: this,
+        sourceId: this.id,
+        queueWhenOffline: true,
+        eventData: {
+          source: 'product-form-component',
+          itemCount: Number(formData.get('quantity')) || Number(this.dataset.quantityDefault),
+          productId: this.dataset.productId,
+        },
+      })
+      .then((updatedCart) => {
+        if (addToCartTextError) {
+          addToCartTextError.classList.add('hidden');
+          addToCartTextError.removeAttribute('aria-live');
+        }
 
-          // Create or get existing error live region for screen readers
-          this.#setLiveRegionText(response.message);
+        // Add aria-live region to inform screen readers that the item was added
+        // Get the added text from any add-to-cart button
+        const anyAddToCartButton = allAddToCartContainers[0]?.refs.addToCartButton;
+        if (anyAddToCartButton) {
+          const addedTextElement = anyAddToCartButton.querySelector('.add-to-cart-text--added');
+          const addedText = addedTextElement?.textContent?.trim() || Theme.translations.added;
 
-          this.#timeout = setTimeout(() => {
-            if (!addToCartTextError) return;
-            addToCartTextError.classList.add('hidden');
+          this.#setLiveRegionText(addedText);
 
-            // Clear the announcement
+          setTimeout(() => {
             this.#clearLiveRegionText();
-          }, ERROR_MESSAGE_DISPLAY_DURATION);
-
-          // When we add more than the maximum amount of items to the cart, we need to dispatch a cart update event
-          // because our back-end still adds the max allowed amount to the cart.
-          this.dispatchEvent(
-            new CartAddEvent({}, this.id, {
-              didError: true,
-              source: 'product-form-component',
-              itemCount: Number(formData.get('quantity')) || Number(this.dataset.quantityDefault),
-              productId: this.dataset.productId,
-            })
-          );
+          }, SUCCESS_MESSAGE_DISPLAY_DURATION);
+        }
 
+        // Use the updated cart to get the actual total quantity for this variant
+        this.#updateCartQuantityFromData(updatedCart);
+      })
+      .catch((error) => {
+        if (!(error instanceof CartRequestError) && !(error instanceof CartOfflineError)) {
+          console.error(error);
           return;
-        } else {
-          const id = formData.get('id');
-
-          if (addToCartTextError) {
-            addToCartTextError.classList.add('hidden');
-            addToCartTextError.removeAttribute('aria-live');
-          }
+        }
 
-          if (!id) throw new Error('Form ID is required');
+        // Offline submissions are replayed by the cart store once the connection is back
+        const message = (error instanceof CartOfflineError && Theme.translations.cart_pending_changes) || error.message;
 
-          // Add aria-live region to inform screen readers that the item was added
-          // Get the added text from any add-to-cart button
-          const anyAddToCartButton = allAddToCartContainers[0]?.refs.addToCartButton;
-          if (anyAddToCartButton) {
-            const addedTextElement = anyAddToCartButton.querySelector('.add-to-cart-text--added');
-            const addedText = addedTextElement?.textContent?.trim() || Theme.translations.added;
+        if (!addToCartTextError) return;
+        addToCartTextError.classList.remove('hidden');
 
-            this.#setLiveRegionText(addedText);
+        // Reuse the text node if the user is spam-clicking
+        const textNode = addToCartTextError.childNodes[2];
+        if (textNode) {
+          textNode.textContent = message;
+        } else {
+          const newTextNode = document.createTextNode(message);
+          addToCartTextError.appendChild(newTextNode);
+        }
 
-            setTimeout(() => {
-              this.#clearLiveRegionText();
-            }, SUCCESS_MESSAGE_DISPLAY_DURATION);
-          }
+        // Create or get existing error live region for screen readers
+        this.#setLiveRegionText(message);
 
-          // Fetch the updated cart to get the actual total quantity for this variant
-          await this.#fetchAndUpdateCartQuantity();
+        this.#timeout = setTimeout(() => {
+          if (!addToCartTextError) return;
+          addToCartTextError.classList.add('hidden');
 
-          this.dispatchEvent(
-            new CartAddEvent({}, id.toString(), {
-              source: 'product-form-component',
-              itemCount: Number(formData.get('quantity')) || Number(this.dataset.quantityDefault),
-              productId: this.dataset.productId,
-              sections: response.sections,
-            })
-          );
-        }
-      })
-      .catch((error) => {
-        console.error(error);
+          // Clear the announcement
+          this.#clearLiveRegionText();
+        }, ERROR_MESSAGE_DISPLAY_DURATION);
       })
       .finally(() => {
         cartPerformance.measureFromEvent('add:user-action', event);
@@ -510,6 +519,10 @@ class ProductFormComponent extends Component {
 
     // Update the variant ID
     variantId.value = event.detail.resource?.id ?? '';
+
+    // Switch the pre-order acknowledgement and line properties on or off for the new variant
+    const newPreorder = event.detail.data.html.querySelector('product-form-component [ref="preorder"]');
+    if (this.refs.preorder && newPreorder) morph(this.refs.preorder, newPreorder);
     const { addToCartButtonContainer: currentAddToCartButtonContainer, acceleratedCheckoutButtonContainer } = this.refs;
     const currentAddToCartButton = currentAddToCartButtonContainer?.refs.addToCartButton;
 
@@ -621,8 +634,8 @@ class ProductFormComponent extends Component {
 
     if (!hasB2BFeatures) return;
 
-    // Fetch and update cart quantity for the new variant
-    await this.#fetchAndUpdateCartQuantity();
+    // Load and update cart quantity for the new variant
+    await this.#loadAndUpdateCartQuantity();
   };
 
   /**
@@ -632,6 +645,25 @@ class ProductFormComponent extends Component {
   #onVariantSelected = () => {
     this.refs.addToCartButtonContainer?.disable();
   };
+
+  /**
+   * Submits the resolved variant and enables the add to cart button before the section is updated.
+   * @param {VariantResolvedEvent} event
+   */
+  #onVariantResolved = (event) => {
+    if (event.detail.data.productId !== this.dataset.productId) return;
+
+    const variant = event.detail.resource;
+    const { variantId, addToCartButtonContainer } = this.refs;
+
+    variantId.value = String(variant.id);
+
+    if (variant.available) {
+      addToCartButtonContainer?.enable();
+    } else {
+      addToCartButtonContainer?.disable();
+    }
+  };
 }
 
 if (!customElements.get('product-form-component')) {
@@ -1,34 +1,116 @@
-import { ThemeEvents, VariantUpdateEvent } from '@theme/events';
+import { ThemeEvents, VariantResolvedEvent, VariantUpdateEvent } from '@theme/events';
 import { morph } from '@theme/morph';
 
+/**
+ * @typedef {'in_stock' | 'low' | 'backorder' | 'incoming' | 'out_of_stock'} InventoryStatus
+ */
+
+/**
+ * @typedef {object} VariantInventory
+ * @property {InventoryStatus} status - The inventory status of the variant
+ * @property {number} [quantity] - The quantity left, only embedded when the stock is low and shown
+ * @property {string} [incoming_date] - The formatted date of the next incoming stock, if any
+ */
+
+/**
+ * A custom element that shows the inventory status of the selected variant.
+ * The status of every variant is embedded by the product inventory snippet, so it's updated as soon as a variant is selected.
+ */
 class ProductInventory extends HTMLElement {
+  /** @type {Record<string, VariantInventory> | undefined} */
+  #inventory;
+
+  /** @type {Element | null} */
+  #target = null;
+
   connectedCallback() {
-    const closestSection = this.closest('.shopify-section, dialog');
-    closestSection?.addEventListener(ThemeEvents.variantUpdate, this.updateInventory);
+    this.#target = this.closest('product-card, .shopify-section, dialog');
+    this.#target?.addEventListener(ThemeEvents.variantUpdate, this.updateInventory);
+    this.#target?.addEventListener(ThemeEvents.variantResolved, this.updateInventory);
   }
 
   disconnectedCallback() {
-    const closestSection = this.closest('.shopify-section, dialog');
-    closestSection?.removeEventListener(ThemeEvents.variantUpdate, this.updateInventory);
+    this.#target?.removeEventListener(ThemeEvents.variantUpdate, this.updateInventory);
+    this.#target?.removeEventListener(ThemeEvents.variantResolved, this.updateInventory);
   }
 
   /**
    * Updates the inventory.
-   * @param {VariantUpdateEvent} event - The variant update event.
+   * @param {VariantUpdateEvent | VariantResolvedEvent} event - The variant update or resolved event.
    */
   updateInventory = (event) => {
-    if (event.detail.data.newProduct) {
-      this.dataset.productId = event.detail.data.newProduct.id;
-    } else if (event.target instanceof HTMLElement && event.target.dataset.productId !== this.dataset.productId) {
+    const { resource, data } = event.detail;
+
+    if ('newProduct' in data && data.newProduct) {
+      this.dataset.productId = data.newProduct.id;
+    } else if (data.productId !== this.dataset.productId) {
+      return;
+    }
+
+    if (!resource) {
+      this.#render('out_of_stock');
       return;
     }
 
-    const newInventory = event.detail.data.html.querySelector('product-inventory');
+    const inventory = this.#getVariantInventory(resource.id);
 
-    if (!newInventory) return;
+    if (inventory) {
+      this.#render(inventory.status, inventory);
+    } else if ('html' in data) {
+      // The variant belongs to a product that was loaded with the update, like a combined listing
+      const newInventory = data.html.querySelector(`product-inventory[data-context="${this.dataset.context}"]`);
+      if (!newInventory) return;
 
-    morph(this, newInventory, { childrenOnly: true });
+      morph(this, newInventory);
+      this.#inventory = undefined;
+    }
   };
+
+  /**
+   * @param {number | string} variantId - The id of the variant
+   * @returns {VariantInventory | undefined} The inventory of the variant, if it's embedded
+   */
+  #getVariantInventory(variantId) {
+    if (!this.#inventory) {
+      const textContent = this.querySelector('script[type="application/json"][data-inventory]')?.textContent;
+      this.#inventory = textContent ? JSON.parse(textContent) : {};
+    }
+
+    return this.#inventory?.[String(variantId)];
+  }
+
+  /**
+   * Shows the status, the message is only replaced when it changes so it's announced once.
+   * @param {InventoryStatus} status - The inventory status
+   * @param {VariantInventory} [inventory] - The inventory of the variant
+   */
+  #render(status, inventory) {
+    const message = this.querySelector('.product-inventory__message');
+    if (!message) return;
+
+    const { translations } = Theme;
+    const quantity = inventory?.quantity ?? 0;
+
+    /** @type {Record<InventoryStatus, string | undefined>} */
+    const messages = {
+      in_stock: translations.inventory_in_stock,
+      low:
+        this.dataset.showQuantity === 'true'
+          ? translations[`inventory_low_stock_show_count_${quantity === 1 ? 'one' : 'other'}`]?.replace(
+              '[count]',
+              String(quantity)
+            )
+          : translations.inventory_low_stock,
+      backorder: translations.inventory_backorder,
+      incoming: translations.inventory_incoming?.replace('[date]', inventory?.incoming_date ?? ''),
+      out_of_stock: translations.inventory_out_of_stock,
+    };
+
+    const text = messages[status] ?? '';
+
+    this.dataset.status = status;
+    if (message.textContent !== text) message.textContent = text;
+  }
 }
 
 if (!customElements.get('product-inventory')) {
@@ -0,0 +1,109 @@
+import { Component } from '@theme/component';
+import {
+  PERSONALIZATION_BLOCK_ATTRIBUTE,
+  PERSONALIZATION_FIELD_SELECTOR,
+  PERSONALIZATION_PROPERTY,
+  getFieldInput,
+  showFieldError,
+  updateFieldsVisibility,
+} from '@theme/personalization';
+
+/**
+ * A custom element that manages the personalization fields of a product form.
+ * The fields are associated with the product form, so their values are submitted as line item properties.
+ *
+ * @extends Component
+ */
+class ProductPersonalizationComponent extends Component {
+  /** @type {HTMLFormElement | null} */
+  #form = null;
+
+  /** @type {boolean} Whether an invalid field was already focused during the current submission */
+  #focusedInvalidField = false;
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    this.addEventListener('input', this.#handleChange);
+    this.addEventListener('change', this.#handleChange);
+    // Invalid events don't bubble
+    this.addEventListener('invalid', this.#handleInvalid, true);
+
+    this.#form = this.fields.map((field) => getFieldInput(field)?.form).find(Boolean) ?? null;
+    this.#form?.addEventListener('formdata', this.#handleFormData);
+
+    updateFieldsVisibility(this.fields);
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    this.removeEventListener('input', this.#handleChange);
+    this.removeEventListener('change', this.#handleChange);
+    this.removeEventListener('invalid', this.#handleInvalid, true);
+    this.#form?.removeEventListener('formdata', this.#handleFormData);
+  }
+
+  /**
+   * The elements wrapping the personalization fields, in order.
+   * @returns {HTMLElement[]}
+   */
+  get fields() {
+    return Array.from(this.querySelectorAll(PERSONALIZATION_FIELD_SELECTOR));
+  }
+
+  /**
+   * @param {Event} event - The input or change event
+   */
+  #handleChange = (event) => {
+    updateFieldsVisibility(this.fields);
+
+    if (!(event.target instanceof Element)) return;
+
+    const field = event.target.closest(PERSONALIZATION_FIELD_SELECTOR);
+
+    // The message of a field is only updated once it was shown
+    if (field instanceof HTMLElement && event.target.getAttribute('aria-invalid') === 'true') {
+      showFieldError(field);
+    }
+  };
+
+  /**
+   * Shows the validation message of the field instead of the browser's.
+   * @param {Event} event - The invalid event
+   */
+  #handleInvalid = (event) => {
+    if (!(event.target instanceof HTMLElement)) return;
+
+    const field = event.target.closest(PERSONALIZATION_FIELD_SELECTOR);
+    if (!(field instanceof HTMLElement)) return;
+
+    event.preventDefault();
+    showFieldError(field);
+
+    if (this.#focusedInvalidField) return;
+
+    this.#focusedInvalidField = true;
+    event.target.focus();
+    requestAnimationFrame(() => (this.#focusedInvalidField = false));
+  };
+
+  /**
+   * Adds the id of the block to the line item properties, so the cart can find the fields to edit them.
+   * @param {FormDataEvent} event - The form data event
+   */
+  #handleFormData = (event) => {
+    const blockId = this.querySelector(`[${PERSONALIZATION_BLOCK_ATTRIBUTE}]`)?.getAttribute(
+      PERSONALIZATION_BLOCK_ATTRIBUTE
+    );
+    const submitted = this.fields.some((field) => !getFieldInput(field)?.disabled);
+
+    if (!blockId || !submitted) return;
+
+    event.formData.set(`properties[${PERSONALIZATION_PROPERTY}]`, blockId);
+  };
+}
+
+if (!customElements.get('product-personalization-component')) {
+  customElements.define('product-personalization-component', ProductPersonalizationComponent);
+}
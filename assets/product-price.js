@@ -1,4 +1,4 @@
-import { ThemeEvents, VariantUpdateEvent } from '@theme/events';
+import { SellingPlanUpdateEvent, ThemeEvents, VariantResolvedEvent, VariantUpdateEvent } from '@theme/events';
 
 /**
  * A custom element that displays a product price.
@@ -8,18 +8,71 @@ import { ThemeEvents, VariantUpdateEvent } from '@theme/events';
  * 2. Swatches variant picker (in product cards)
  */
 class ProductPrice extends HTMLElement {
+  /** @type {import('@theme/events').SellingPlanPrices | null} The selected selling plan, if a selling plan picker is used */
+  #sellingPlan = null;
+
   connectedCallback() {
     const closestSection = this.closest('.shopify-section, dialog');
     if (!closestSection) return;
     closestSection.addEventListener(ThemeEvents.variantUpdate, this.updatePrice);
+    closestSection.addEventListener(ThemeEvents.variantResolved, this.#showResolvedPrice);
+    closestSection.addEventListener(ThemeEvents.sellingPlanUpdate, this.#updateSellingPlan);
   }
 
   disconnectedCallback() {
     const closestSection = this.closest('.shopify-section, dialog');
     if (!closestSection) return;
     closestSection.removeEventListener(ThemeEvents.variantUpdate, this.updatePrice);
+    closestSection.removeEventListener(ThemeEvents.variantResolved, this.#showResolvedPrice);
+    closestSection.removeEventListener(ThemeEvents.sellingPlanUpdate, this.#updateSellingPlan);
+  }
+
+  /**
+   * Keeps the selected selling plan so its price is shown for every variant.
+   * @param {SellingPlanUpdateEvent} event - The selling plan update event.
+   */
+  #updateSellingPlan = (event) => {
+    if (event.detail.data.productId !== this.dataset.productId) return;
+
+    this.#sellingPlan = event.detail.resource;
+    this.#showSellingPlanPrice(event.detail.data.variantId);
+  };
+
+  /**
+   * Shows the price of the variant with the selected selling plan, or the one-time purchase.
+   * @param {string | number | undefined} variantId - The id of the variant.
+   */
+  #showSellingPlanPrice(variantId) {
+    const formattedPrice = variantId ? this.#sellingPlan?.prices[String(variantId)] : undefined;
+    const price = this.querySelector('[ref="priceContainer"] .price');
+
+    if (!formattedPrice || !price || price.classList.contains('price-range')) return;
+
+    price.textContent = formattedPrice;
   }
 
+  /**
+   * Shows the price of the resolved variant until the section is re-rendered.
+   * @param {VariantResolvedEvent} event - The variant resolved event.
+   */
+  #showResolvedPrice = (event) => {
+    if (event.detail.data.productId !== this.dataset.productId) return;
+
+    const variant = event.detail.resource;
+    const price = this.querySelector('[ref="priceContainer"] .price');
+    const compareAtPrice = this.querySelector('[ref="priceContainer"] .compare-at-price');
+    const isOnSale = variant.compare_at_price > variant.price;
+
+    // The layout changes for volume pricing or when the sale starts or ends, that's left to the section update
+    if (!price || price.classList.contains('price-range') || variant.volume_pricing) return;
+    if (isOnSale !== Boolean(compareAtPrice)) return;
+
+    price.textContent = variant.formatted_price;
+    if (compareAtPrice) compareAtPrice.textContent = variant.formatted_compare_at_price;
+
+    this.#showSellingPlanPrice(variant.id);
+  };
+
   /**
    * Updates the price and volume pricing note.
    * @param {VariantUpdateEvent} event - The variant update event.
@@ -39,6 +92,7 @@ class ProductPrice extends HTMLElement {
     const newPrice = newProductPrice.querySelector('[ref="priceContainer"]');
     const currentPrice = this.querySelector('[ref="priceContainer"]');
     if (newPrice && currentPrice) currentPrice.replaceWith(newPrice);
+    this.#showSellingPlanPrice(event.detail.resource?.id);
 
     // Update volume pricing note
     const currentNote = this.querySelector('.volume-pricing-note');
@@ -1,5 +1,5 @@
 import { Component } from '@theme/component';
-import { ThemeEvents, VariantUpdateEvent } from '@theme/events';
+import { ThemeEvents, VariantResolvedEvent, VariantUpdateEvent } from '@theme/events';
 
 /**
  * A custom element that displays a product SKU.
@@ -22,6 +22,7 @@ class ProductSkuComponent extends Component {
     const target = this.closest('[id*="ProductInformation-"], [id*="QuickAdd-"], product-card');
     if (!target) return;
     target.addEventListener(ThemeEvents.variantUpdate, this.updateSku);
+    target.addEventListener(ThemeEvents.variantResolved, this.updateSku);
   }
 
   disconnectedCallback() {
@@ -29,14 +30,15 @@ class ProductSkuComponent extends Component {
     const target = this.closest('[id*="ProductInformation-"], [id*="QuickAdd-"], product-card');
     if (!target) return;
     target.removeEventListener(ThemeEvents.variantUpdate, this.updateSku);
+    target.removeEventListener(ThemeEvents.variantResolved, this.updateSku);
   }
 
   /**
    * Updates the SKU.
-   * @param {VariantUpdateEvent} event - The variant update event.
+   * @param {VariantUpdateEvent | VariantResolvedEvent} event - The variant update or resolved event.
    */
   updateSku = (event) => {
-    if (event.detail.data.newProduct) {
+    if ('newProduct' in event.detail.data && event.detail.data.newProduct) {
       this.dataset.productId = event.detail.data.newProduct.id;
     }
 
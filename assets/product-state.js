@@ -0,0 +1,91 @@
+import { yieldToMainThread } from '@theme/utilities';
+
+/**
+ * The state of the product page that's kept in the URL, so it can be shared and is restored on back/forward navigation.
+ *
+ * @typedef {object} ProductState
+ * @property {string | null} variant - The id of the selected variant
+ * @property {string[]} optionValues - The ids of the selected option values, when the combination has no variant
+ * @property {number | null} quantity - The selected quantity
+ * @property {number | null} media - The index of the open media, starting at 0
+ * @property {string | null} sellingPlan - The id of the selected selling plan, null for the one-time purchase
+ */
+
+/**
+ * The URL parameters of the product state. Shopify renders the variant, option values and selling plan itself.
+ * @type {Record<keyof ProductState, string>}
+ */
+const PARAMETERS = {
+  variant: 'variant',
+  optionValues: 'option_values',
+  quantity: 'quantity',
+  media: 'media',
+  sellingPlan: 'selling_plan',
+};
+
+/**
+ * Reads the product state from a URL.
+ * @param {string} [url] - The URL, the current one by default
+ * @returns {ProductState} The product state
+ */
+export function getProductState(url = window.location.href) {
+  const { searchParams } = new URL(url, window.location.origin);
+  const quantity = Number.parseInt(searchParams.get(PARAMETERS.quantity) ?? '', 10);
+  // The media is 1-based in the URL, like the slide counter of the gallery
+  const media = Number.parseInt(searchParams.get(PARAMETERS.media) ?? '', 10) - 1;
+
+  return {
+    variant: searchParams.get(PARAMETERS.variant) || null,
+    optionValues: searchParams.get(PARAMETERS.optionValues)?.split(',').filter(Boolean) ?? [],
+    quantity: quantity > 0 ? quantity : null,
+    media: media >= 0 ? media : null,
+    sellingPlan: searchParams.get(PARAMETERS.sellingPlan) || null,
+  };
+}
+
+/**
+ * Writes part of the product state to the URL. The history entry is only changed when the URL changes.
+ * @param {Partial<ProductState>} state - The state to write, null or empty values are removed from the URL
+ * @param {object} [options]
+ * @param {boolean} [options.push] - Whether to add a history entry, so the change can be undone with the back button
+ * @param {string} [options.pathname] - The new path, when another product is loaded like for combined listings
+ */
+export function updateProductState(state, { push = false, pathname } = {}) {
+  if (typeof state.media === 'number') state = { ...state, media: state.media + 1 };
+
+  // The URL is read once the main thread is free, so the updates made in the same task don't undo each other
+  yieldToMainThread().then(() => {
+    const url = new URL(window.location.href);
+
+    for (const [key, value] of Object.entries(state)) {
+      const parameter = PARAMETERS[/** @type {keyof ProductState} */ (key)];
+      const stringValue = Array.isArray(value) ? value.join(',') : value;
+
+      if (stringValue == null || stringValue === '') {
+        url.searchParams.delete(parameter);
+      } else {
+        url.searchParams.set(parameter, String(stringValue));
+      }
+    }
+
+    if (pathname) url.pathname = pathname;
+    if (url.href === window.location.href) return;
+
+    if (push) {
+      history.pushState({ productState: true }, '', url.toString());
+    } else {
+      history.replaceState(history.state, '', url.toString());
+    }
+  });
+}
+
+/**
+ * Whether an element belongs to the product of the product page, rather than a product card, quick add or featured product.
+ * @param {Element} element - The element
+ * @returns {boolean} Whether the state of the element is kept in the URL
+ */
+export function isMainProduct(element) {
+  const isProductTemplate = Theme.template.name.split('.')[0] === 'product';
+
+  return isProductTemplate && !element.closest('product-card, quick-add-dialog, featured-product-information');
+}
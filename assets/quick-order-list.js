@@ -1,7 +1,8 @@
 import { Component } from '@theme/component';
-import { CartAddEvent, QuantitySelectorUpdateEvent, ThemeEvents } from '@theme/events';
-import { debounce, fetchConfig, resetShimmer } from '@theme/utilities';
+import { QuantitySelectorUpdateEvent, ThemeEvents } from '@theme/events';
+import { debounce, resetShimmer } from '@theme/utilities';
 import { morphSection, sectionRenderer } from '@theme/section-renderer';
+import { cart, CartRequestError } from '@theme/cart';
 
 /**
  * A custom element that manages the quick order list section.
@@ -224,41 +225,30 @@ class QuickOrderListComponent extends Component {
         return;
       }
 
-      const sectionIds = this.#getSectionIds();
       const sectionsUrl = new URL(window.location.pathname, window.location.origin);
       sectionsUrl.searchParams.set('page', this.currentPage.toString());
 
-      const body = JSON.stringify({
-        updates: updates,
-        sections: sectionIds.join(','),
-        sections_url: sectionsUrl.pathname + sectionsUrl.search,
-      });
-
-      const response = await fetch(Theme.routes.cart_update_url, {
-        ...fetchConfig('json', { body }),
-        signal: this.#abortController.signal,
-      });
-
-      const responseText = await response.text();
-      const data = JSON.parse(responseText);
+      const data = await cart.update(
+        { updates },
+        {
+          sections: this.#getSectionIds(),
+          sectionsUrl: sectionsUrl.pathname + sectionsUrl.search,
+          sourceId: this.id,
+          undoable: true,
+          eventData: { source: 'quick-order-remove-all' },
+          signal: this.#abortController.signal,
+        }
+      );
 
       resetShimmer(this);
 
-      if (data.errors) {
-        this.#showErrorMessage(data.errors);
-      } else {
-        this.#updateSectionHTML(data);
-        this.#toggleConfirmationPanel(false);
-
-        document.dispatchEvent(
-          new CartAddEvent(data, this.id, {
-            source: 'quick-order-remove-all',
-            sections: data.sections,
-          })
-        );
-      }
+      this.#updateSectionHTML(data);
+      this.#toggleConfirmationPanel(false);
     } catch (error) {
-      if (error.name !== 'AbortError') {
+      if (error instanceof CartRequestError) {
+        resetShimmer(this);
+        this.#showErrorMessage(error.errors ?? error.message);
+      } else if (error.name !== 'AbortError') {
         resetShimmer(this);
         throw error;
       }
@@ -313,47 +303,36 @@ class QuickOrderListComponent extends Component {
       const sectionsUrl = new URL(window.location.pathname, window.location.origin);
       sectionsUrl.searchParams.set('page', this.currentPage.toString());
 
-      const body = JSON.stringify({
-        updates: updates,
-        sections: this.#getSectionIds().join(','),
-        sections_url: sectionsUrl.pathname + sectionsUrl.search,
-      });
-
-      const response = await fetch(Theme.routes.cart_update_url, {
-        ...fetchConfig('json', { body }),
-        signal: this.#abortController.signal,
-      });
-
-      const responseText = await response.text();
-      const data = JSON.parse(responseText);
+      const data = await cart.update(
+        { updates },
+        {
+          sections: this.#getSectionIds(),
+          sectionsUrl: sectionsUrl.pathname + sectionsUrl.search,
+          sourceId: this.id,
+          undoable: quantity === 0,
+          eventData: { source: 'quick-order-quantity', variantId },
+          signal: this.#abortController.signal,
+        }
+      );
 
       resetShimmer(this);
 
-      if (data.errors) {
-        this.#showErrorMessage(data.errors);
+      this.#updateSectionHTML(data);
+
+      const quantityAdded = quantity - currentCartQuantity;
+      if (quantityAdded > 0) {
+        this.#showSuccessMessage(quantityAdded);
+      }
+    } catch (error) {
+      if (error instanceof CartRequestError) {
+        resetShimmer(this);
+        this.#showErrorMessage(error.errors ?? error.message);
         if (this.dataset.sectionId) {
           const url = new URL(window.location.href);
           url.searchParams.set('page', this.currentPage.toString());
           await sectionRenderer.renderSection(this.dataset.sectionId, { cache: false, url });
         }
-      } else {
-        this.#updateSectionHTML(data);
-
-        const quantityAdded = quantity - currentCartQuantity;
-        if (quantityAdded > 0) {
-          this.#showSuccessMessage(quantityAdded);
-        }
-
-        document.dispatchEvent(
-          new CartAddEvent(data, this.id, {
-            source: 'quick-order-quantity',
-            variantId: variantId,
-            sections: data.sections,
-          })
-        );
-      }
-    } catch (error) {
-      if (error.name !== 'AbortError') {
+      } else if (error.name !== 'AbortError') {
         this.#enableQuickOrderListItems();
         resetShimmer(this);
         throw error;
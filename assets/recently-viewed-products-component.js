@@ -0,0 +1,81 @@
+import { Component } from '@theme/component';
+import { RecentlyViewed } from '@theme/recently-viewed-products';
+import { renderProductsByIds } from '@theme/section-renderer';
+
+/**
+ * A custom element that renders the recently viewed products.
+ * The products are rendered by searching for their ids, like the recently viewed products of the predictive search.
+ *
+ * @typedef {object} Refs
+ * @property {HTMLElement} results - The container of the rendered products.
+ *
+ * @extends {Component<Refs>}
+ */
+class RecentlyViewedProductsComponent extends Component {
+  requiredRefs = ['results'];
+
+  /** @type {AbortController | null} */
+  #activeFetch = null;
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    this.#render();
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    this.#activeFetch?.abort();
+  }
+
+  async #render() {
+    const { results } = this.refs;
+    const { resultsSectionId, excludeProductId } = this.dataset;
+    const entries = RecentlyViewed.getEntries().filter((entry) => entry.id !== excludeProductId);
+
+    this.#activeFetch?.abort();
+    this.classList.toggle('hidden', entries.length === 0);
+
+    if (entries.length === 0 || !resultsSectionId) return;
+
+    const abortController = new AbortController();
+    this.#activeFetch = abortController;
+
+    try {
+      const productIds = entries.map((entry) => entry.id);
+
+      await renderProductsByIds(resultsSectionId, productIds, results, '.recently-viewed-results', {
+        signal: abortController.signal,
+        beforeRender: (newResults) => {
+          // Link each product to the variant that was viewed last
+          for (const entry of entries) {
+            if (!entry.variantId) continue;
+
+            const item = newResults.querySelector(`[data-product-id="${entry.id}"]`);
+
+            for (const link of item?.querySelectorAll('a[href]') ?? []) {
+              if (!(link instanceof HTMLAnchorElement)) continue;
+
+              const linkURL = new URL(link.href, location.origin);
+              linkURL.searchParams.set('variant', entry.variantId);
+              link.href = linkURL.pathname + linkURL.search;
+            }
+          }
+
+          this.classList.toggle('hidden', !newResults.querySelector('[data-product-id]'));
+        },
+      });
+    } catch (error) {
+      if (abortController.signal.aborted) return;
+
+      // Nothing is shown rather than an empty block
+      console.error(error);
+      this.classList.add('hidden');
+    }
+  }
+}
+
+if (!customElements.get('recently-viewed-products-component')) {
+  customElements.define('recently-viewed-products-component', RecentlyViewedProductsComponent);
+}
@@ -1,28 +1,40 @@
+import { LocalStorageList } from '@theme/utilities';
+
+/**
+ * @typedef {Object} RecentlyViewedEntry
+ * @property {string} id - The ID of the product
+ * @property {string} [variantId] - The ID of the variant last viewed
+ * @property {number} timestamp - When the product was last viewed
+ */
+
 /**
  * Updates the recently viewed products in localStorage.
  */
 export class RecentlyViewed {
-  /** @static @constant {string} The key used to store the viewed products in session storage */
-  static #STORAGE_KEY = 'viewedProducts';
-  /** @static @constant {number} The maximum number of products to store */
-  static #MAX_PRODUCTS = 4;
+  /** @static @constant {LocalStorageList<RecentlyViewedEntry | string>} The viewed products in local storage */
+  static #storage = new LocalStorageList('viewedProducts');
+  /** @static @constant {number} The maximum number of products to store when the theme setting is missing */
+  static #DEFAULT_MAX_PRODUCTS = 4;
+  /** @static @constant {number} The number of days products are kept when the theme setting is missing */
+  static #DEFAULT_EXPIRY_DAYS = 30;
 
   /**
    * Adds a product to the recently viewed products list.
    * @param {string} productId - The ID of the product to add.
+   * @param {string} [variantId] - The ID of the variant being viewed.
    */
-  static addProduct(productId) {
-    let viewedProducts = this.getProducts();
+  static addProduct(productId, variantId) {
+    let entries = this.getEntries();
 
-    viewedProducts = viewedProducts.filter((/** @type {string} */ id) => id !== productId);
-    viewedProducts.unshift(productId);
-    viewedProducts = viewedProducts.slice(0, this.#MAX_PRODUCTS);
+    entries = entries.filter((entry) => entry.id !== productId);
+    entries.unshift({ id: productId, variantId, timestamp: Date.now() });
+    entries = entries.slice(0, this.#maxProducts);
 
-    localStorage.setItem(this.#STORAGE_KEY, JSON.stringify(viewedProducts));
+    this.#storage.write(entries);
   }
 
   static clearProducts() {
-    localStorage.removeItem(this.#STORAGE_KEY);
+    this.#storage.write([]);
   }
 
   /**
@@ -30,6 +42,39 @@ export class RecentlyViewed {
    * @returns {string[]} The list of viewed products.
    */
   static getProducts() {
-    return JSON.parse(localStorage.getItem(this.#STORAGE_KEY) || '[]');
+    return this.getEntries().map((entry) => entry.id);
+  }
+
+  /**
+   * Retrieves the recently viewed products that haven't expired, most recent first.
+   * @returns {RecentlyViewedEntry[]} The viewed products with the variant last viewed.
+   */
+  static getEntries() {
+    const storedEntries = this.#storage.read();
+    const expiryTime = Date.now() - this.#expiryDays * 24 * 60 * 60 * 1000;
+
+    return (
+      storedEntries
+        // Earlier versions only stored the product IDs
+        .map((entry) => (typeof entry === 'string' ? { id: entry, timestamp: Date.now() } : entry))
+        .filter((entry) => entry.timestamp >= expiryTime)
+        .slice(0, this.#maxProducts)
+    );
+  }
+
+  /**
+   * The maximum number of products to store.
+   * @returns {number}
+   */
+  static get #maxProducts() {
+    return Theme.settings.recently_viewed_limit || this.#DEFAULT_MAX_PRODUCTS;
+  }
+
+  /**
+   * The number of days a viewed product is kept.
+   * @returns {number}
+   */
+  static get #expiryDays() {
+    return Theme.settings.recently_viewed_expiry_days || this.#DEFAULT_EXPIRY_DAYS;
   }
 }
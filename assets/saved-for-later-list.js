@@ -0,0 +1,171 @@
+import { Component } from '@theme/component';
+import { cart, CartOfflineError, CartRequestError } from '@theme/cart';
+import { ThemeEvents } from '@theme/events';
+import { SavedForLater } from '@theme/saved-for-later';
+import { formatCents } from '@theme/utilities';
+
+/** @typedef {import('./saved-for-later').SavedItem} SavedItem */
+
+/**
+ * A custom element that lists the cart lines saved for later and moves them back into the cart.
+ *
+ * @typedef {object} Refs
+ * @property {HTMLElement} count - The number of saved items.
+ * @property {HTMLUListElement} list - The list of saved items.
+ * @property {HTMLTemplateElement} itemTemplate - The template of a saved item.
+ * @property {HTMLTemplateElement} moneyFormat - The money format of the prices.
+ *
+ * @extends {Component<Refs>}
+ */
+class SavedForLaterList extends Component {
+  requiredRefs = ['count', 'list', 'itemTemplate', 'moneyFormat'];
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    document.addEventListener(ThemeEvents.savedForLaterUpdate, this.#render);
+    window.addEventListener('storage', this.#handleStorage);
+
+    this.#render();
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    document.removeEventListener(ThemeEvents.savedForLaterUpdate, this.#render);
+    window.removeEventListener('storage', this.#handleStorage);
+  }
+
+  /**
+   * Adds a saved item back to the cart with its quantity, properties and selling plan.
+   * @param {SavedItem} item - The saved item.
+   * @param {HTMLElement} element - The element of the saved item.
+   */
+  async #moveToCart(item, element) {
+    const moveButton = element.querySelector('[data-saved-item="move"]');
+    const error = element.querySelector('[data-saved-item="error"]');
+
+    if (moveButton instanceof HTMLButtonElement) moveButton.disabled = true;
+    error?.classList.add('hidden');
+
+    try {
+      await cart.add(
+        {
+          items: [
+            {
+              id: item.variantId,
+              quantity: item.quantity,
+              properties: item.properties,
+              selling_plan: item.sellingPlanId,
+            },
+          ],
+        },
+        { target: this, queueWhenOffline: true, eventData: { source: 'saved-for-later' } }
+      );
+
+      SavedForLater.removeItem(item.id);
+    } catch (caughtError) {
+      // The item is added once the connection is back
+      if (caughtError instanceof CartOfflineError) {
+        SavedForLater.removeItem(item.id);
+        return;
+      }
+
+      if (caughtError instanceof CartRequestError) {
+        if (error) error.textContent = caughtError.message;
+      } else {
+        console.error(caughtError);
+        if (error) error.textContent = Theme.translations.add_to_cart_error ?? '';
+      }
+
+      error?.classList.remove('hidden');
+    } finally {
+      if (moveButton instanceof HTMLButtonElement) moveButton.disabled = false;
+    }
+  }
+
+  /**
+   * Renders the saved items.
+   */
+  #render = () => {
+    const items = SavedForLater.getItems();
+    const { count, list, itemTemplate } = this.refs;
+
+    count.textContent = items.length ? `(${items.length})` : '';
+    list.replaceChildren(...items.map((item) => this.#renderItem(item, itemTemplate)));
+
+    this.classList.toggle('hidden', items.length === 0);
+  };
+
+  /**
+   * @param {SavedItem} item - The saved item.
+   * @param {HTMLTemplateElement} template - The template of a saved item.
+   * @returns {HTMLElement} The element of the saved item.
+   */
+  #renderItem(item, template) {
+    const fragment = /** @type {DocumentFragment} */ (template.content.cloneNode(true));
+    const element = /** @type {HTMLElement} */ (fragment.firstElementChild);
+
+    /**
+     * @param {string} name
+     * @returns {HTMLElement | null}
+     */
+    const field = (name) => element.querySelector(`[data-saved-item="${name}"]`);
+
+    const link = field('link');
+    const image = field('image');
+    const title = field('title');
+
+    if (link instanceof HTMLAnchorElement) link.href = item.url;
+    if (title instanceof HTMLAnchorElement) {
+      title.href = item.url;
+      title.textContent = item.title;
+    }
+
+    if (image instanceof HTMLImageElement && item.image) {
+      const imageUrl = new URL(item.image, window.location.origin);
+      imageUrl.searchParams.set('width', '250');
+      image.src = imageUrl.toString();
+    } else {
+      link?.remove();
+    }
+
+    const details = [
+      item.variantTitle,
+      item.sellingPlanName,
+      // Private properties start with an underscore and aren't shown to customers
+      ...Object.entries(item.properties)
+        .filter(([name, value]) => value && !name.startsWith('_'))
+        .map(([name, value]) => `${name}: ${value}`),
+    ].filter(Boolean);
+
+    const detailsElement = field('details');
+    if (detailsElement) detailsElement.textContent = details.join(', ');
+
+    const price = field('price');
+    if (price) {
+      const moneyFormat = this.refs.moneyFormat.content.textContent || '{{amount}}';
+      price.textContent = formatCents(item.price, moneyFormat, this.dataset.currency ?? '');
+    }
+
+    const quantity = field('quantity');
+    if (quantity) quantity.textContent = String(item.quantity);
+
+    field('move')?.addEventListener('click', () => this.#moveToCart(item, element));
+    field('remove')?.addEventListener('click', () => SavedForLater.removeItem(item.id));
+
+    return element;
+  }
+
+  /**
+   * Renders the items saved in another tab.
+   * @param {StorageEvent} event - The storage event.
+   */
+  #handleStorage = (event) => {
+    if (SavedForLater.isStorageEvent(event)) this.#render();
+  };
+}
+
+if (!customElements.get('saved-for-later-list')) {
+  customElements.define('saved-for-later-list', SavedForLaterList);
+}
@@ -0,0 +1,105 @@
+import { SavedForLaterUpdateEvent } from '@theme/events';
+import { LocalStorageList } from '@theme/utilities';
+
+/**
+ * @typedef {Object} SavedItem
+ * @property {string} id - The unique ID of the saved item
+ * @property {number} variantId - The ID of the saved variant
+ * @property {number} productId - The ID of the product
+ * @property {number} quantity - The saved quantity
+ * @property {Record<string, string>} properties - The line item properties
+ * @property {number} [sellingPlanId] - The ID of the selected selling plan
+ * @property {string} [sellingPlanName] - The name of the selected selling plan
+ * @property {string} title - The product title
+ * @property {string | null} variantTitle - The variant title
+ * @property {string} url - The URL of the variant
+ * @property {string | null} image - The URL of the line image
+ * @property {number} price - The unit price in cents when the item was saved
+ * @property {number} savedAt - When the item was saved
+ */
+
+/**
+ * Stores the cart lines saved for later in localStorage, so they're kept across sessions.
+ */
+export class SavedForLater {
+  /** @static @constant {LocalStorageList<SavedItem>} The saved items in local storage */
+  static #storage = new LocalStorageList('savedForLater');
+  /** @static @constant {number} The maximum number of items to store */
+  static #MAX_ITEMS = 50;
+
+  /**
+   * Saves a cart line. A line with the same variant, properties and selling plan is merged into the saved one.
+   * @param {import('./cart').CartLineItem} line - The cart line to save.
+   */
+  static addLine(line) {
+    const properties = line.properties ?? {};
+    const sellingPlanId = line.selling_plan_allocation?.selling_plan.id;
+    const items = this.getItems();
+    const existingItem = items.find(
+      (item) =>
+        item.variantId === line.variant_id &&
+        item.sellingPlanId === sellingPlanId &&
+        JSON.stringify(item.properties) === JSON.stringify(properties)
+    );
+
+    if (existingItem) {
+      existingItem.quantity += line.quantity;
+      existingItem.savedAt = Date.now();
+      this.#setItems([existingItem, ...items.filter((item) => item !== existingItem)]);
+      return;
+    }
+
+    /** @type {SavedItem} */
+    const item = {
+      id: line.key,
+      variantId: line.variant_id,
+      productId: line.product_id,
+      quantity: line.quantity,
+      properties,
+      sellingPlanId,
+      sellingPlanName: line.selling_plan_allocation?.selling_plan.name,
+      title: line.product_title,
+      variantTitle: line.variant_title,
+      url: line.url,
+      image: line.image,
+      price: line.final_price,
+      savedAt: Date.now(),
+    };
+
+    this.#setItems([item, ...items].slice(0, this.#MAX_ITEMS));
+  }
+
+  /**
+   * Removes an item from the saved list.
+   * @param {string} id - The ID of the saved item.
+   */
+  static removeItem(id) {
+    this.#setItems(this.getItems().filter((item) => item.id !== id));
+  }
+
+  /**
+   * Retrieves the saved items, most recently saved first.
+   * @returns {SavedItem[]} The saved items.
+   */
+  static getItems() {
+    return this.#storage.read();
+  }
+
+  /**
+   * Whether a storage event was caused by a change of the saved items in another tab.
+   * @param {StorageEvent} event - The storage event.
+   * @returns {boolean}
+   */
+  static isStorageEvent(event) {
+    return this.#storage.isStorageEvent(event);
+  }
+
+  /**
+   * @param {SavedItem[]} items
+   */
+  static #setItems(items) {
+    if (!this.#storage.write(items)) return;
+
+    document.dispatchEvent(new SavedForLaterUpdateEvent(items));
+  }
+}
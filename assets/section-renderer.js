@@ -1,14 +1,68 @@
+import { ThemeEvents } from '@theme/events';
 import { morph } from '@theme/morph';
 
+/** @type {number} The number of rendered pages and sections kept in the cache */
+const CACHE_LIMIT = 30;
+
+/**
+ * A cache that drops the least recently used entries once it's full
+ * @template T
+ */
+class LRUCache {
+  /** @type {Map<string, T>} */
+  #entries = new Map();
+
+  /**
+   * @param {number} limit - The maximum number of entries
+   */
+  constructor(limit) {
+    this.limit = limit;
+  }
+
+  /**
+   * Gets an entry and marks it as the most recently used
+   * @param {string} key - The key of the entry
+   * @returns {T | undefined} The entry
+   */
+  get(key) {
+    const value = this.#entries.get(key);
+    if (value === undefined) return undefined;
+
+    this.#entries.delete(key);
+    this.#entries.set(key, value);
+
+    return value;
+  }
+
+  /**
+   * Adds an entry, dropping the least recently used entry if the cache is full
+   * @param {string} key - The key of the entry
+   * @param {T} value - The entry
+   */
+  set(key, value) {
+    this.#entries.delete(key);
+    this.#entries.set(key, value);
+
+    if (this.#entries.size > this.limit) {
+      const [leastRecentlyUsedKey] = this.#entries.keys();
+      if (leastRecentlyUsedKey !== undefined) this.#entries.delete(leastRecentlyUsedKey);
+    }
+  }
+
+  clear() {
+    this.#entries.clear();
+  }
+}
+
 /**
  * A class to re-render sections using the Section Rendering API
  */
 class SectionRenderer {
   /**
-   * The cache of section HTML
-   * @type {Map<string, string>}
+   * The cache of rendered HTML, by URL
+   * @type {LRUCache<string>}
    */
-  #cache = new Map();
+  #cache = new LRUCache(CACHE_LIMIT);
 
   /**
    * The abort controllers by section ID
@@ -24,6 +78,7 @@ class SectionRenderer {
 
   constructor() {
     window.addEventListener('load', this.#cachePageSections.bind(this));
+    document.addEventListener(ThemeEvents.cartUpdate, this.#handleCartUpdate);
   }
 
   /**
@@ -72,30 +127,73 @@ class SectionRenderer {
    * @returns {Promise<string>} The rendered section HTML
    */
   async getSectionHTML(sectionId, useCache = true, url = new URL(window.location.href)) {
-    const sectionUrl = buildSectionRenderingURL(sectionId, url);
+    return this.getHTML(buildSectionRenderingURL(sectionId, url), useCache);
+  }
+
+  /**
+   * Gets the HTML rendered for a URL, like a product page rendered for other options
+   * @param {string} url - The URL to fetch
+   * @param {boolean} useCache - Whether to use the cache
+   * @returns {Promise<string>} The rendered HTML
+   */
+  async getHTML(url, useCache = true) {
+    const cacheKey = new URL(url, window.location.origin).href;
 
-    let pendingPromise = this.#pendingPromises.get(sectionUrl);
+    let pendingPromise = this.#pendingPromises.get(cacheKey);
     if (pendingPromise) return pendingPromise;
 
     if (useCache) {
-      const cachedHTML = this.#cache.get(sectionUrl);
+      const cachedHTML = this.#cache.get(cacheKey);
 
       if (cachedHTML) return cachedHTML;
     }
 
-    pendingPromise = fetch(sectionUrl).then((response) => {
+    pendingPromise = fetch(cacheKey).then((response) => {
+      // Error pages aren't cached, so they're never rendered in place of the section
+      if (!response.ok) throw new Error(`Failed to fetch ${cacheKey}: HTTP error ${response.status}`);
+
       return response.text();
     });
 
-    this.#pendingPromises.set(sectionUrl, pendingPromise);
+    this.#pendingPromises.set(cacheKey, pendingPromise);
 
-    const sectionHTML = await pendingPromise;
-    this.#pendingPromises.delete(sectionUrl);
+    try {
+      const html = await pendingPromise;
 
-    this.#cache.set(sectionUrl, sectionHTML);
-    return sectionHTML;
+      this.#cache.set(cacheKey, html);
+      return html;
+    } finally {
+      this.#pendingPromises.delete(cacheKey);
+    }
+  }
+
+  /**
+   * Fetches the HTML rendered for a URL into the cache, so it's ready when it's requested
+   * @param {string} url - The URL to fetch
+   */
+  prefetch(url) {
+    this.getHTML(url).catch(() => {
+      // The HTML is fetched again when it's requested
+    });
   }
 
+  /**
+   * Clears the cache, when the rendered pages and sections are outdated
+   */
+  clearCache() {
+    this.#cache.clear();
+  }
+
+  /**
+   * Clears the cache when the cart changes, because the rendered quantities and availability depend on it
+   * @param {Event & { detail?: { data?: { didError?: boolean } } }} event - The cart update event
+   */
+  #handleCartUpdate = (event) => {
+    if (event.detail?.data?.didError) return;
+
+    this.clearCache();
+  };
+
   /**
    * Caches the page sections
    */
@@ -178,4 +276,41 @@ export async function morphSection(sectionId, html) {
   morph(existingElement, newElement);
 }
 
+/**
+ * Renders products by searching for their ids, for the lists kept in the browser like the wishlist.
+ * The results are morphed into the container, so products that are still listed keep their state.
+ *
+ * @param {string} sectionId - The ID of the section rendering the search results
+ * @param {string[]} productIds - The IDs of the products to render
+ * @param {HTMLElement} container - The element the results are rendered in
+ * @param {string} selector - The selector of the results in the section
+ * @param {Object} [options] - The options
+ * @param {AbortSignal} [options.signal] - Stops rendering the results when aborted
+ * @param {(results: Element) => void} [options.beforeRender] - Updates the results before they're rendered
+ * @returns {Promise<boolean>} Whether the results were rendered
+ */
+export async function renderProductsByIds(sectionId, productIds, container, selector, options = {}) {
+  const url = new URL(Theme.routes.search_url, location.origin);
+  url.searchParams.set('q', productIds.map((id) => `id:${id}`).join(' OR '));
+  url.searchParams.set('resources[type]', 'product');
+
+  const sectionHTML = await sectionRenderer.getSectionHTML(sectionId, false, url);
+  if (options.signal?.aborted) return false;
+
+  const newResults = new DOMParser().parseFromString(sectionHTML, 'text/html').querySelector(selector);
+  if (!newResults) return false;
+
+  options.beforeRender?.(newResults);
+
+  const currentResults = container.querySelector(selector);
+
+  if (currentResults) {
+    morph(currentResults, newResults);
+  } else {
+    container.replaceChildren(newResults);
+  }
+
+  return true;
+}
+
 export const sectionRenderer = new SectionRenderer();
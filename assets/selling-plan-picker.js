@@ -0,0 +1,180 @@
+import { Component } from '@theme/component';
+import { SellingPlanUpdateEvent, ThemeEvents, VariantResolvedEvent, VariantUpdateEvent } from '@theme/events';
+import { getProductState, isMainProduct, updateProductState } from '@theme/product-state';
+
+/**
+ * @typedef {object} SellingPlanAllocation
+ * @property {number} price - The price of the variant with the selling plan, in cents
+ * @property {number} compare_at_price - The price of the variant without the selling plan, in cents
+ * @property {string} formatted_price - The price of the variant with the selling plan, formatted
+ */
+
+/**
+ * @typedef {object} VariantSellingPlans
+ * @property {number} price - The one-time purchase price of the variant, in cents
+ * @property {string} formatted_price - The one-time purchase price of the variant, formatted
+ * @property {Record<string, SellingPlanAllocation>} selling_plans - The selling plans of the variant, by selling plan id
+ */
+
+/**
+ * A custom element that lets customers pick between a one-time purchase and a subscription.
+ * The selected selling plan is submitted with the product form, and the prices are shared with a `SellingPlanUpdateEvent`.
+ *
+ * @typedef {object} Refs
+ * @property {HTMLInputElement} [oneTimeInput] - The radio selecting the one-time purchase, missing when the product requires a selling plan.
+ * @property {HTMLElement} [oneTimePrice] - The price of the one-time purchase.
+ * @property {HTMLInputElement} subscriptionInput - The radio selecting the subscription.
+ * @property {HTMLElement} subscriptionPrice - The price with the selected selling plan.
+ * @property {HTMLElement} savings - The savings with the selected selling plan.
+ * @property {HTMLSelectElement} planSelect - The select picking the delivery frequency.
+ * @property {HTMLInputElement} sellingPlanInput - The input submitting the selling plan with the product form.
+ *
+ * @extends {Component<Refs>}
+ */
+class SellingPlanPickerComponent extends Component {
+  requiredRefs = ['subscriptionInput', 'subscriptionPrice', 'savings', 'planSelect', 'sellingPlanInput'];
+  #abortController = new AbortController();
+
+  /** @type {Record<string, VariantSellingPlans> | undefined} */
+  #variants;
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    const { signal } = this.#abortController;
+    const target = this.closest('.shopify-section, dialog');
+    target?.addEventListener(ThemeEvents.variantUpdate, this.#onVariantChange, { signal });
+    target?.addEventListener(ThemeEvents.variantResolved, this.#onVariantChange, { signal });
+
+    // Keep the selling plan in the URL of the product page
+    if (isMainProduct(this)) window.addEventListener('popstate', this.#restoreSellingPlan, { signal });
+
+    this.update();
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    this.#abortController.abort();
+  }
+
+  /**
+   * Updates the submitted selling plan and the prices for the selected purchase option.
+   * @param {Event} [event] - The change event
+   */
+  update(event) {
+    const { oneTimeInput, oneTimePrice, subscriptionInput, subscriptionPrice, savings, planSelect, sellingPlanInput } =
+      this.refs;
+
+    // Picking a delivery frequency picks the subscription too
+    if (event?.target === planSelect && !subscriptionInput.disabled) subscriptionInput.checked = true;
+
+    const variantId = this.dataset.variantId ?? '';
+    const variant = this.#getVariants()[variantId];
+    const subscribed = subscriptionInput.checked && !subscriptionInput.disabled;
+    const sellingPlanId = subscribed ? planSelect.value : null;
+    const allocation = variant?.selling_plans[planSelect.value];
+
+    sellingPlanInput.value = sellingPlanId ?? '';
+    sellingPlanInput.disabled = !sellingPlanId;
+
+    if (oneTimePrice && variant) oneTimePrice.textContent = variant.formatted_price;
+    if (allocation) subscriptionPrice.textContent = allocation.formatted_price;
+
+    const discount = allocation ? Math.round((1 - allocation.price / allocation.compare_at_price) * 100) : 0;
+    savings.textContent = discount > 0 ? (this.dataset.savingsText ?? '').replace('[percent]', String(discount)) : '';
+
+    if (oneTimeInput && !subscribed) oneTimeInput.checked = true;
+
+    // Picking another purchase option can be undone with the back button
+    if (isMainProduct(this)) updateProductState({ sellingPlan: sellingPlanId }, { push: Boolean(event) });
+
+    this.dispatchEvent(
+      new SellingPlanUpdateEvent({ id: sellingPlanId, prices: this.#getPrices(sellingPlanId) }, this.id, {
+        productId: this.dataset.productId ?? '',
+        variantId,
+      })
+    );
+  }
+
+  /**
+   * Selects the selling plan of the URL when navigating back or forward, or the one-time purchase when it has none.
+   */
+  #restoreSellingPlan = () => {
+    const { oneTimeInput, subscriptionInput, planSelect } = this.refs;
+    const { sellingPlan } = getProductState();
+    const option = Array.from(planSelect.options).find(({ value }) => value === sellingPlan);
+
+    if (option && !option.disabled) {
+      option.selected = true;
+      subscriptionInput.checked = !subscriptionInput.disabled;
+    } else if (!sellingPlan && oneTimeInput) {
+      oneTimeInput.checked = true;
+    }
+
+    this.update();
+  };
+
+  /**
+   * Shows the selling plans of the selected variant.
+   * @param {VariantUpdateEvent | VariantResolvedEvent} event - The variant update or resolved event
+   */
+  #onVariantChange = (event) => {
+    if (event.detail.data.productId !== this.dataset.productId) return;
+
+    const variantId = event.detail.resource?.id;
+    if (!variantId) return;
+
+    this.dataset.variantId = String(variantId);
+
+    const { oneTimeInput, subscriptionInput, planSelect } = this.refs;
+    const sellingPlans = this.#getVariants()[String(variantId)]?.selling_plans ?? {};
+
+    for (const option of planSelect.options) {
+      option.disabled = !(option.value in sellingPlans);
+    }
+
+    // Keep the delivery frequency when the variant has it, otherwise pick the first one it has
+    if (planSelect.selectedOptions[0]?.disabled) {
+      const firstOption = Array.from(planSelect.options).find((option) => !option.disabled);
+      if (firstOption) firstOption.selected = true;
+    }
+
+    subscriptionInput.disabled = Object.keys(sellingPlans).length === 0;
+    if (subscriptionInput.disabled && oneTimeInput) oneTimeInput.checked = true;
+
+    this.update();
+  };
+
+  /**
+   * @param {string | null} sellingPlanId - The id of the selling plan, null for the one-time purchase
+   * @returns {Record<string, string>} The formatted price of the purchase, by variant id
+   */
+  #getPrices(sellingPlanId) {
+    /** @type {Record<string, string>} */
+    const prices = {};
+
+    for (const [variantId, variant] of Object.entries(this.#getVariants())) {
+      const allocation = sellingPlanId ? variant.selling_plans[sellingPlanId] : undefined;
+      prices[variantId] = allocation?.formatted_price ?? variant.formatted_price;
+    }
+
+    return prices;
+  }
+
+  /**
+   * @returns {Record<string, VariantSellingPlans>} The selling plans embedded for every variant, by variant id
+   */
+  #getVariants() {
+    if (!this.#variants) {
+      const textContent = this.querySelector('script[type="application/json"][data-selling-plans]')?.textContent;
+      this.#variants = textContent ? JSON.parse(textContent) : {};
+    }
+
+    return this.#variants ?? {};
+  }
+}
+
+if (!customElements.get('selling-plan-picker-component')) {
+  customElements.define('selling-plan-picker-component', SellingPlanPickerComponent);
+}
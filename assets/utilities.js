@@ -243,6 +243,115 @@ export function normalizeString(str) {
     .toLowerCase();
 }
 
+/**
+ * Formats an amount in cents with a money format, replicating the implementation of the `money` liquid filters
+ * @param {number} cents The amount in cents (hundredths of one major currency unit)
+ * @param {string} moneyFormat The money format, e.g. `shop.money_format` or `shop.money_with_currency_format`
+ * @param {string} currency The ISO code of the currency
+ * @returns {string} The formatted amount
+ */
+export function formatCents(cents, moneyFormat, currency) {
+  return moneyFormat.replace(/{{\s*(\w+)\s*}}/g, (_, placeholder) => {
+    if (typeof placeholder !== 'string') return '';
+    if (placeholder === 'currency') return currency;
+
+    let thousandsSeparator = ',';
+    let decimalSeparator = '.';
+    let precision = CURRENCY_DECIMALS[currency.toUpperCase()] ?? DEFAULT_CURRENCY_DECIMALS;
+
+    if (placeholder === 'amount') {
+      // Check first since it's the most common, use defaults.
+    } else if (placeholder === 'amount_no_decimals') {
+      precision = 0;
+    } else if (placeholder === 'amount_with_comma_separator') {
+      thousandsSeparator = '.';
+      decimalSeparator = ',';
+    } else if (placeholder === 'amount_no_decimals_with_comma_separator') {
+      // Weirdly, this is correct. It uses amount_with_comma_separator's
+      // behaviour but removes decimals, resulting in an unintuitive
+      // output that can't possibly include commas, despite the name.
+      thousandsSeparator = '.';
+      precision = 0;
+    } else if (placeholder === 'amount_no_decimals_with_space_separator') {
+      thousandsSeparator = ' ';
+      precision = 0;
+    } else if (placeholder === 'amount_with_space_separator') {
+      thousandsSeparator = ' ';
+      decimalSeparator = ',';
+    } else if (placeholder === 'amount_with_period_and_space_separator') {
+      thousandsSeparator = ' ';
+      decimalSeparator = '.';
+    } else if (placeholder === 'amount_with_apostrophe_separator') {
+      thousandsSeparator = "'";
+      decimalSeparator = '.';
+    }
+
+    const roundedNumber = (cents / 100).toFixed(precision);
+
+    let [a, b] = roundedNumber.split('.');
+    if (!a) a = '0';
+    if (!b) b = '';
+
+    // Split by groups of 3 digits
+    a = a.replace(/\d(?=(\d\d\d)+(?!\d))/g, (digit) => digit + thousandsSeparator);
+
+    return precision <= 0 ? a : a + decimalSeparator + b.padEnd(precision, '0');
+  });
+}
+
+/**
+ * Default currency decimals used in most currenies
+ * @constant {number}
+ */
+const DEFAULT_CURRENCY_DECIMALS = 2;
+
+/**
+ * Decimal precision for currencies that have a non-default precision
+ * @type {Record<string, number>}
+ */
+const CURRENCY_DECIMALS = {
+  BHD: 3,
+  BIF: 0,
+  BYR: 0,
+  CLF: 4,
+  CLP: 0,
+  DJF: 0,
+  GNF: 0,
+  IQD: 3,
+  ISK: 0,
+  JOD: 3,
+  JPY: 0,
+  KMF: 0,
+  KRW: 0,
+  KWD: 3,
+  LYD: 3,
+  MRO: 5,
+  OMR: 3,
+  PYG: 0,
+  RWF: 0,
+  TND: 3,
+  UGX: 0,
+  UYI: 0,
+  UYW: 4,
+  VND: 0,
+  VUV: 0,
+  XAF: 0,
+  XAG: 0,
+  XAU: 0,
+  XBA: 0,
+  XBB: 0,
+  XBC: 0,
+  XBD: 0,
+  XDR: 0,
+  XOF: 0,
+  XPD: 0,
+  XPF: 0,
+  XPT: 0,
+  XSU: 0,
+  XTS: 0,
+  XUA: 0,
+};
+
 /**
  * Format a money value
  * @param {string} value The value to format
@@ -707,6 +816,65 @@ export class ResizeNotifier extends ResizeObserver {
   }
 }
 
+/**
+ * A list stored as JSON in localStorage, so it's kept across pages and shared by the tabs of the store.
+ * Reading and writing never throw, since localStorage can be full or disabled.
+ * @template T
+ */
+export class LocalStorageList {
+  /** @type {string} */
+  #key;
+
+  /**
+   * @param {string} key - The key used to store the list in local storage
+   */
+  constructor(key) {
+    this.#key = key;
+  }
+
+  /**
+   * Retrieves the stored items.
+   * @returns {T[]} The items, or an empty list if none can be read.
+   */
+  read() {
+    try {
+      const items = JSON.parse(localStorage.getItem(this.#key) || '[]');
+
+      return Array.isArray(items) ? items : [];
+    } catch (_) {
+      return [];
+    }
+  }
+
+  /**
+   * Stores the items, an empty list removes the key.
+   * @param {T[]} items - The items to store.
+   * @returns {boolean} Whether the items were stored.
+   */
+  write(items) {
+    try {
+      if (items.length) {
+        localStorage.setItem(this.#key, JSON.stringify(items));
+      } else {
+        localStorage.removeItem(this.#key);
+      }
+
+      return true;
+    } catch (_) {
+      return false;
+    }
+  }
+
+  /**
+   * Whether a storage event was caused by a change of the list in another tab.
+   * @param {StorageEvent} event - The storage event.
+   * @returns {boolean}
+   */
+  isStorageEvent(event) {
+    return event.key === this.#key;
+  }
+}
+
 // Header calculation functions for maintaining CSS variables
 export function calculateHeaderGroupHeight(
   header = document.querySelector('#header-component'),
@@ -1,13 +1,33 @@
 import { Component } from '@theme/component';
-import { VariantSelectedEvent, VariantUpdateEvent } from '@theme/events';
+import { VariantResolvedEvent, VariantSelectedEvent, VariantUpdateEvent } from '@theme/events';
 import { morph, MORPH_OPTIONS } from '@theme/morph';
-import { yieldToMainThread, getViewParameterValue, ResizeNotifier } from '@theme/utilities';
+import { getProductState, isMainProduct, updateProductState } from '@theme/product-state';
+import { sectionRenderer } from '@theme/section-renderer';
+import { getViewParameterValue, ResizeNotifier, debounce } from '@theme/utilities';
 
 /**
  * @typedef {object} VariantPickerRefs
  * @property {HTMLFieldSetElement[]} fieldsets – The fieldset elements.
  */
 
+/**
+ * @typedef {object} ResolvedVariant
+ * @property {number} id - The id of the variant
+ * @property {boolean} available - Whether the variant is available
+ * @property {string | null} sku - The SKU of the variant
+ * @property {number} price - The price of the variant, in cents
+ * @property {number} compare_at_price - The compare at price of the variant, in cents
+ * @property {string} formatted_price - The price of the variant, formatted like the price block
+ * @property {string} formatted_compare_at_price - The compare at price of the variant, formatted like the price block
+ * @property {boolean} volume_pricing - Whether the variant has quantity price breaks
+ * @property {{ id: string, preview_image: { src: string } } | null} featured_media - The featured media of the variant
+ * @property {string[]} option_value_ids - The ids of the option values of the variant, in the order of the options
+ */
+
+/**
+ * @typedef {Pick<ResolvedVariant, 'id' | 'available' | 'option_value_ids'>} VariantAvailability
+ */
+
 /**
  * A custom element that manages a variant picker.
  *
@@ -27,6 +47,18 @@ export default class VariantPicker extends Component {
   /** @type {HTMLInputElement[][]} */
   #radios = [];
 
+  /** @type {Map<string, ResolvedVariant> | null | undefined} The embedded variants, by option value ids */
+  #variants;
+
+  /** @type {VariantAvailability[] | null | undefined} The availability of the embedded variants */
+  #availability;
+
+  /** @type {string[] | undefined} The option values selected when the page was loaded, restored when going back to it */
+  #initialOptionValues;
+
+  /** Whether the options are being restored from the URL, so no history entry is added for them */
+  #restoring = false;
+
   #resizeObserver = new ResizeNotifier(() => this.updateVariantPickerCss());
 
   connectedCallback() {
@@ -44,14 +76,109 @@ export default class VariantPicker extends Component {
     });
 
     this.addEventListener('change', this.variantChanged.bind(this));
+    this.addEventListener('pointerover', this.#prefetchOptionValue);
+    this.addEventListener('pointerleave', this.#cancelPrefetchOptionValue);
+    this.addEventListener('focusin', this.#prefetchOptionValue);
     this.#resizeObserver.observe(this);
+    this.updateAvailability();
+
+    if (this.#isOnProductPage) {
+      this.#initialOptionValues ??= this.selectedOptionsValues;
+      window.addEventListener('popstate', this.#restoreFromUrl);
+    }
   }
 
   disconnectedCallback() {
     super.disconnectedCallback();
     this.#resizeObserver.disconnect();
+    this.#prefetchOptionValue.cancel();
+    window.removeEventListener('popstate', this.#restoreFromUrl);
   }
 
+  /**
+   * Whether the picker belongs to the product of the product page, so the selected options are kept in the URL.
+   * @returns {boolean}
+   */
+  get #isOnProductPage() {
+    return this.dataset.templateProductMatch === 'true' && isMainProduct(this);
+  }
+
+  /**
+   * Selects the options of the URL when navigating back or forward.
+   */
+  #restoreFromUrl = () => {
+    const productPath = this.dataset.productUrl?.split('?')[0];
+
+    // The entry belongs to another product of a combined listing, which only a full load renders
+    if (productPath && window.location.pathname !== productPath) {
+      window.location.reload();
+      return;
+    }
+
+    const { variant, optionValues } = getProductState();
+    const variantOptionValues = variant
+      ? Array.from(this.#getVariants()?.values() ?? []).find(({ id }) => String(id) === variant)?.option_value_ids
+      : undefined;
+    const targetOptionValues = optionValues.length ? optionValues : variantOptionValues ?? this.#initialOptionValues;
+    if (!targetOptionValues) return;
+
+    const selectedOptionValues = this.selectedOptionsValues;
+
+    /** @type {HTMLElement[]} */
+    const changedTargets = [];
+
+    for (const optionValueId of targetOptionValues) {
+      if (selectedOptionValues.includes(optionValueId)) continue;
+
+      const option = this.querySelector(`[data-option-value-id="${optionValueId}"]`);
+      const select = option?.closest('select');
+
+      if (option instanceof HTMLOptionElement && select) {
+        select.value = option.value;
+        changedTargets.push(select);
+      } else if (option instanceof HTMLInputElement) {
+        changedTargets.push(option);
+      }
+    }
+
+    const lastTarget = changedTargets.pop();
+    if (!lastTarget) return;
+
+    // The last option is selected by the change event, like when it's picked by the customer
+    for (const target of changedTargets) this.updateSelectedOption(target);
+
+    this.#restoring = true;
+    lastTarget.dispatchEvent(new Event('change', { bubbles: true }));
+    this.#restoring = false;
+  };
+
+  /**
+   * Prefetches the section rendered for the option value the customer is about to pick,
+   * so the picker is updated right away when it's picked.
+   */
+  #prefetchOptionValue = debounce((/** @type {Event} */ event) => {
+    if (!(event.target instanceof Element)) return;
+
+    const label = event.target.closest('label');
+    const input = event.target instanceof HTMLInputElement ? event.target : label?.querySelector('input');
+    if (!(input instanceof HTMLInputElement) || input.checked || !input.dataset.optionValueId) return;
+
+    const checkedInput = input.closest('fieldset')?.querySelector('input:checked');
+    if (!(checkedInput instanceof HTMLInputElement)) return;
+
+    const optionValues = this.selectedOptionsValues.map((optionValueId) =>
+      optionValueId === checkedInput.dataset.optionValueId
+        ? input.dataset.optionValueId ?? optionValueId
+        : optionValueId
+    );
+    const productUrl = input.dataset.connectedProductUrl || this.dataset.productUrl;
+    if (!productUrl) return;
+
+    sectionRenderer.prefetch(this.#buildOptionValuesUrl(productUrl, optionValues));
+  }, 100);
+
+  #cancelPrefetchOptionValue = () => this.#prefetchOptionValue.cancel();
+
   /**
    * Handles the variant change event.
    * @param {Event} event - The variant change event.
@@ -65,6 +192,7 @@ export default class VariantPicker extends Component {
     if (!selectedOption) return;
 
     this.updateSelectedOption(event.target);
+    this.updateAvailability();
     this.dispatchEvent(new VariantSelectedEvent({ id: selectedOption.dataset.optionValueId ?? '' }));
 
     const isOnProductPage =
@@ -85,30 +213,120 @@ export default class VariantPicker extends Component {
       ? 'featured-product-information'
       : undefined;
 
+    // Update the price, SKU, inventory and media right away, the section is then refreshed in the background
+    const resolvedVariant = loadsNewProduct ? undefined : this.resolveVariant();
+
+    if (resolvedVariant) {
+      this.dispatchEvent(
+        new VariantResolvedEvent(resolvedVariant, selectedOption.dataset.optionValueId ?? '', {
+          productId: this.dataset.productId ?? '',
+        })
+      );
+    }
+
     this.fetchUpdatedSection(this.buildRequestUrl(selectedOption), morphElementSelector);
 
-    const url = new URL(window.location.href);
+    if (!isOnProductPage || this.#restoring) return;
 
     const variantId = selectedOption.dataset.variantId || null;
 
-    if (isOnProductPage) {
-      if (variantId) {
-        url.searchParams.set('variant', variantId);
-      } else {
-        url.searchParams.delete('variant');
+    // The open media is cleared, the gallery shows the media of the new variant
+    updateProductState(
+      { variant: variantId, optionValues: variantId ? [] : this.selectedOptionsValues, media: null },
+      { push: true, pathname: loadsNewProduct ? newUrl : undefined }
+    );
+  }
+
+  /**
+   * Finds the variant of the selected options in the product data embedded in the picker.
+   * @returns {ResolvedVariant | undefined} The variant, or undefined if the combination doesn't exist or the data isn't embedded.
+   */
+  resolveVariant() {
+    return this.#getVariants()?.get(this.selectedOptionsValues.join(','));
+  }
+
+  /**
+   * @returns {Map<string, ResolvedVariant> | null} The variants embedded in the picker, by option value ids
+   */
+  #getVariants() {
+    if (this.#variants === undefined) {
+      this.#variants = null;
+
+      const textContent = this.querySelector('script[type="application/json"][data-variants]')?.textContent;
+
+      if (textContent) {
+        /** @type {ResolvedVariant[]} */
+        const variants = JSON.parse(textContent);
+        this.#variants = new Map(variants.map((variant) => [variant.option_value_ids.join(','), variant]));
       }
     }
 
-    // Change the path if the option is connected to another product via combined listing.
-    if (loadsNewProduct) {
-      url.pathname = newUrl;
+    return this.#variants ?? null;
+  }
+
+  /**
+   * Marks the option values against the selected ones: the values that can't be combined with them are crossed out,
+   * and the ones only combined in sold out variants are dimmed. Options without a selected value match any value.
+   */
+  updateAvailability() {
+    const variants = this.#getAvailability();
+
+    // Combined listings link option values to other products, which only the section knows about
+    if (!variants || this.querySelector('[data-connected-product-url]:not([data-connected-product-url=""])')) return;
+
+    /** @type {HTMLElement[]} */
+    const selectedOptions = Array.from(this.querySelectorAll('select option[selected], fieldset input:checked'));
+    /** @type {Array<HTMLInputElement | HTMLOptionElement>} */
+    const optionValues = Array.from(
+      this.querySelectorAll('fieldset input[data-option-value-id], select option[data-option-value-id]')
+    );
+
+    for (const optionValue of optionValues) {
+      const optionGroup = optionValue.closest('fieldset, select');
+      const otherOptionValueIds = selectedOptions
+        .filter((option) => option.closest('fieldset, select') !== optionGroup)
+        .map((option) => option.dataset.optionValueId ?? '');
+      const optionValueIds = [optionValue.dataset.optionValueId ?? '', ...otherOptionValueIds];
+      const matchingVariants = variants.filter((variant) =>
+        optionValueIds.every((optionValueId) => variant.option_value_ids.includes(optionValueId))
+      );
+      const available = matchingVariants.some((variant) => variant.available);
+
+      optionValue.dataset.optionAvailable = String(available);
+
+      // Dropdowns can't be crossed out, so the values are labeled like the section renders them
+      if (optionValue instanceof HTMLOptionElement) {
+        optionValue.textContent = available
+          ? optionValue.value
+          : `${optionValue.value} - ${Theme.translations.unavailable}`;
+        continue;
+      }
+
+      if (available) {
+        optionValue.removeAttribute('aria-disabled');
+      } else {
+        optionValue.setAttribute('aria-disabled', 'true');
+      }
+
+      optionValue
+        .closest('label')
+        ?.querySelector('.variant-option__strikethrough')
+        ?.classList.toggle('hidden', matchingVariants.length > 0);
     }
+  }
 
-    if (url.href !== window.location.href) {
-      yieldToMainThread().then(() => {
-        history.replaceState({}, '', url.toString());
-      });
+  /**
+   * @returns {VariantAvailability[] | null} The availability of the variants embedded in the picker
+   */
+  #getAvailability() {
+    if (this.#availability === undefined) {
+      const textContent = this.querySelector(
+        'script[type="application/json"]:is([data-variants], [data-variant-availability])'
+      )?.textContent;
+      this.#availability = textContent ? JSON.parse(textContent) : null;
     }
+
+    return this.#availability ?? null;
   }
 
   /**
@@ -257,24 +475,40 @@ export default class VariantPicker extends Component {
   buildRequestUrl(selectedOption, source = null, sourceSelectedOptionsValues = []) {
     // this productUrl and pendingRequestUrl will be useful for the support of combined listing. It is used when a user changes variant quickly and those products are using separate URLs (combined listing).
     // We create a new URL and abort the previous fetch request if it's still pending.
-    let productUrl = selectedOption.dataset.connectedProductUrl || this.#pendingRequestUrl || this.dataset.productUrl;
+    const productUrl = selectedOption.dataset.connectedProductUrl || this.#pendingRequestUrl || this.dataset.productUrl;
     this.#pendingRequestUrl = productUrl;
-    const params = [];
-    const viewParamValue = getViewParameterValue();
 
-    // preserve view parameter, if it exists, for alternative product view testing
-    if (viewParamValue) params.push(`view=${viewParamValue}`);
+    /** @type {string[]} */
+    let optionValues = [];
 
     if (this.selectedOptionsValues.length && !source) {
-      params.push(`option_values=${this.selectedOptionsValues.join(',')}`);
+      optionValues = this.selectedOptionsValues;
     } else if (source === 'product-card') {
       if (this.selectedOptionsValues.length) {
-        params.push(`option_values=${sourceSelectedOptionsValues.join(',')}`);
+        optionValues = sourceSelectedOptionsValues;
       } else {
-        params.push(`option_values=${selectedOption.dataset.optionValueId}`);
+        optionValues = [selectedOption.dataset.optionValueId ?? ''];
       }
     }
 
+    return this.#buildOptionValuesUrl(productUrl, optionValues);
+  }
+
+  /**
+   * Builds the URL of the section rendered for the option values.
+   * @param {string | undefined} productUrl - The URL of the product.
+   * @param {string[]} optionValues - The ids of the option values, none to render the product as it is.
+   * @returns {string} The request URL.
+   */
+  #buildOptionValuesUrl(productUrl, optionValues) {
+    const params = [];
+    const viewParamValue = getViewParameterValue();
+
+    // preserve view parameter, if it exists, for alternative product view testing
+    if (viewParamValue) params.push(`view=${viewParamValue}`);
+
+    if (optionValues.length) params.push(`option_values=${optionValues.join(',')}`);
+
     // If variant-picker is a child of some specific sections, we need to append section_id=xxxx to the URL
     const SECTION_ID_MAP = {
       'quick-add-component': 'section-rendering-product-card',
@@ -302,19 +536,25 @@ export default class VariantPicker extends Component {
    * @param {string} [morphElementSelector] - The selector of the element to be morphed. By default, only the variant picker is morphed.
    */
   fetchUpdatedSection(requestUrl, morphElementSelector) {
-    // We use this to abort the previous fetch request if it's still pending.
+    // We use this to ignore the previous response if it's still pending.
     this.#abortController?.abort();
-    this.#abortController = new AbortController();
+    const abortController = new AbortController();
+    this.#abortController = abortController;
 
-    fetch(requestUrl, { signal: this.#abortController.signal })
-      .then((response) => response.text())
+    // The response is shared with the prefetches, so it's reused when the same options are picked again
+    sectionRenderer
+      .getHTML(requestUrl, !Shopify.designMode)
       .then((responseText) => {
+        if (abortController.signal.aborted) return;
+
         this.#pendingRequestUrl = undefined;
         const html = new DOMParser().parseFromString(responseText, 'text/html');
         // Defer is only useful for the initial rendering of the page. Remove it here.
         html.querySelector('overflow-list[defer]')?.removeAttribute('defer');
 
-        const textContent = html.querySelector(`variant-picker script[type="application/json"]`)?.textContent;
+        const textContent = html.querySelector(
+          `variant-picker script[type="application/json"]:not([data-variants])`
+        )?.textContent;
         if (!textContent) return;
 
         if (morphElementSelector === 'main') {
@@ -379,6 +619,10 @@ export default class VariantPicker extends Component {
       this.dataset.productUrl = newProductUrl;
     }
 
+    // The embedded variants are parsed again, the product might have changed
+    this.#variants = undefined;
+    this.#availability = undefined;
+
     morph(this, newVariantPickerSource, {
       ...MORPH_OPTIONS,
       getNodeKey: (node) => {
@@ -388,6 +632,7 @@ export default class VariantPicker extends Component {
       },
     });
     this.updateVariantPickerCss();
+    this.updateAvailability();
 
     return newProduct;
   }
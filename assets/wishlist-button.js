@@ -0,0 +1,72 @@
+import { Component } from '@theme/component';
+import { ThemeEvents, WishlistUpdateEvent } from '@theme/events';
+import { Wishlist } from '@theme/wishlist';
+
+/**
+ * A custom element that adds a product to the wishlist, or removes it.
+ *
+ * @typedef {object} Refs
+ * @property {HTMLButtonElement} button - The toggle button.
+ *
+ * @extends {Component<Refs>}
+ */
+class WishlistButton extends Component {
+  requiredRefs = ['button'];
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    document.addEventListener(ThemeEvents.wishlistUpdate, this.#handleWishlistUpdate);
+    window.addEventListener('storage', this.#handleStorage);
+
+    this.#render();
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    document.removeEventListener(ThemeEvents.wishlistUpdate, this.#handleWishlistUpdate);
+    window.removeEventListener('storage', this.#handleStorage);
+  }
+
+  /**
+   * Toggles the product in the wishlist.
+   * @param {Event} event - The click event.
+   */
+  toggle(event) {
+    // The button can be inside a product card link
+    event.preventDefault();
+
+    const { productId } = this.dataset;
+    if (!productId) return;
+
+    Wishlist.toggle(productId);
+  }
+
+  /**
+   * @param {WishlistUpdateEvent} event - The wishlist update event.
+   */
+  #handleWishlistUpdate = (event) => {
+    if (event.detail.productId === this.dataset.productId) this.#render();
+  };
+
+  /**
+   * @param {StorageEvent} event - The storage event.
+   */
+  #handleStorage = (event) => {
+    if (Wishlist.isStorageEvent(event)) this.#render();
+  };
+
+  #render() {
+    const { productId } = this.dataset;
+    const { button } = this.refs;
+    const isInWishlist = Boolean(productId && Wishlist.has(productId));
+
+    button.setAttribute('aria-pressed', String(isInWishlist));
+    this.classList.toggle('wishlist-button--active', isInWishlist);
+  }
+}
+
+if (!customElements.get('wishlist-button')) {
+  customElements.define('wishlist-button', WishlistButton);
+}
@@ -0,0 +1,52 @@
+import { Component } from '@theme/component';
+import { ThemeEvents } from '@theme/events';
+import { Wishlist } from '@theme/wishlist';
+
+/**
+ * A custom element that displays the number of products in the wishlist.
+ *
+ * @typedef {object} Refs
+ * @property {HTMLElement} bubble - The count bubble.
+ * @property {HTMLElement} count - The count text.
+ *
+ * @extends {Component<Refs>}
+ */
+class WishlistCount extends Component {
+  requiredRefs = ['bubble', 'count'];
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    document.addEventListener(ThemeEvents.wishlistUpdate, this.#render);
+    window.addEventListener('storage', this.#handleStorage);
+
+    this.#render();
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    document.removeEventListener(ThemeEvents.wishlistUpdate, this.#render);
+    window.removeEventListener('storage', this.#handleStorage);
+  }
+
+  /**
+   * @param {StorageEvent} event - The storage event.
+   */
+  #handleStorage = (event) => {
+    if (Wishlist.isStorageEvent(event)) this.#render();
+  };
+
+  #render = () => {
+    const count = Wishlist.list().length;
+    const limit = Number(this.dataset.limit) || 100;
+
+    this.refs.count.textContent = count < limit ? String(count) : '';
+    this.refs.bubble.classList.toggle('visually-hidden', count === 0);
+    this.classList.toggle('wishlist-count--has-items', count > 0);
+  };
+}
+
+if (!customElements.get('wishlist-count')) {
+  customElements.define('wishlist-count', WishlistCount);
+}
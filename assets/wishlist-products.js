@@ -0,0 +1,77 @@
+import { Component } from '@theme/component';
+import { ThemeEvents } from '@theme/events';
+import { renderProductsByIds } from '@theme/section-renderer';
+import { Wishlist } from '@theme/wishlist';
+
+/**
+ * A custom element that renders the products in the wishlist.
+ * The products are rendered by searching for their ids, like the recently viewed products of the predictive search.
+ *
+ * @typedef {object} Refs
+ * @property {HTMLElement} results - The container of the rendered products.
+ * @property {HTMLElement} emptyState - The message shown when the wishlist is empty.
+ *
+ * @extends {Component<Refs>}
+ */
+class WishlistProducts extends Component {
+  requiredRefs = ['results', 'emptyState'];
+
+  /** @type {AbortController | null} */
+  #activeFetch = null;
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    document.addEventListener(ThemeEvents.wishlistUpdate, this.#render);
+    window.addEventListener('storage', this.#handleStorage);
+
+    this.#render();
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    document.removeEventListener(ThemeEvents.wishlistUpdate, this.#render);
+    window.removeEventListener('storage', this.#handleStorage);
+    this.#activeFetch?.abort();
+  }
+
+  /**
+   * @param {StorageEvent} event - The storage event.
+   */
+  #handleStorage = (event) => {
+    if (Wishlist.isStorageEvent(event)) this.#render();
+  };
+
+  #render = async () => {
+    const { results, emptyState } = this.refs;
+    const productIds = Wishlist.list();
+
+    this.#activeFetch?.abort();
+
+    emptyState.classList.toggle('hidden', productIds.length > 0);
+
+    if (productIds.length === 0) {
+      results.replaceChildren();
+      return;
+    }
+
+    const { resultsSectionId } = this.dataset;
+    if (!resultsSectionId) return;
+
+    const abortController = new AbortController();
+    this.#activeFetch = abortController;
+
+    try {
+      await renderProductsByIds(resultsSectionId, productIds, results, '.wishlist-results', {
+        signal: abortController.signal,
+      });
+    } catch (error) {
+      if (!abortController.signal.aborted) console.error(error);
+    }
+  };
+}
+
+if (!customElements.get('wishlist-products')) {
+  customElements.define('wishlist-products', WishlistProducts);
+}
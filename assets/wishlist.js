@@ -0,0 +1,89 @@
+import { WishlistUpdateEvent } from '@theme/events';
+import { LocalStorageList } from '@theme/utilities';
+
+/**
+ * Stores the products the customer added to their wishlist in localStorage.
+ */
+export class Wishlist {
+  /** @static @constant {LocalStorageList<string>} The product IDs of the wishlist in local storage */
+  static #storage = new LocalStorageList('wishlist');
+  /** @static @constant {number} The maximum number of products to store */
+  static #MAX_PRODUCTS = 50;
+
+  /**
+   * Adds a product to the wishlist.
+   * @param {string} productId - The ID of the product to add.
+   */
+  static add(productId) {
+    const productIds = this.list().filter((id) => id !== productId);
+
+    productIds.unshift(productId);
+    this.#setProducts(productIds.slice(0, this.#MAX_PRODUCTS), productId, true);
+  }
+
+  /**
+   * Removes a product from the wishlist.
+   * @param {string} productId - The ID of the product to remove.
+   */
+  static remove(productId) {
+    this.#setProducts(
+      this.list().filter((id) => id !== productId),
+      productId,
+      false
+    );
+  }
+
+  /**
+   * Adds a product to the wishlist, or removes it if it's already there.
+   * @param {string} productId - The ID of the product.
+   * @returns {boolean} Whether the product is in the wishlist now.
+   */
+  static toggle(productId) {
+    const added = !this.has(productId);
+
+    if (added) {
+      this.add(productId);
+    } else {
+      this.remove(productId);
+    }
+
+    return added;
+  }
+
+  /**
+   * Checks if a product is in the wishlist.
+   * @param {string} productId - The ID of the product.
+   * @returns {boolean}
+   */
+  static has(productId) {
+    return this.list().includes(productId);
+  }
+
+  /**
+   * Retrieves the products in the wishlist, most recently added first.
+   * @returns {string[]} The product IDs.
+   */
+  static list() {
+    return this.#storage.read();
+  }
+
+  /**
+   * Whether a storage event was caused by a change of the wishlist in another tab.
+   * @param {StorageEvent} event - The storage event.
+   * @returns {boolean}
+   */
+  static isStorageEvent(event) {
+    return this.#storage.isStorageEvent(event);
+  }
+
+  /**
+   * @param {string[]} productIds - The product IDs to store.
+   * @param {string} productId - The ID of the product that was added or removed.
+   * @param {boolean} added - Whether the product was added.
+   */
+  static #setProducts(productIds, productId, added) {
+    if (!this.#storage.write(productIds)) return;
+
+    document.dispatchEvent(new WishlistUpdateEvent(productIds, productId, added));
+  }
+}